@@ -19,7 +19,31 @@ export const CELL_TYPES = {
     /** Hole cell (lose condition). */
     HOLE: 2,
     /** Goal cell (win condition). */
-    GOAL: 3
+    GOAL: 3,
+    /** Ice floor: very low friction, weak grip (see SURFACES in levels.js). */
+    ICE: 4,
+    /** Mud floor: high friction, slow rolling. */
+    MUD: 5,
+    /** Sand floor: moderate extra friction. */
+    SAND: 6,
+    /** Booster pad: strong push in a fixed direction. */
+    BOOSTER: 7,
+    /** Conveyor belt: gentle constant push in a fixed direction. */
+    CONVEYOR: 8,
+    /** Teleporter: moves the ball to its linked partner cell. */
+    TELEPORTER: 9,
+    /** Switch / pressure plate: opens or closes linked doors. */
+    SWITCH: 10,
+    /** Closed door (collides like a wall). */
+    DOOR: 11,
+    /** Open door (walkable). */
+    DOOR_OPEN: 12,
+    /** Checkpoint: once reached, the ball respawns here after a fall. */
+    CHECKPOINT: 13,
+    /** One-way gate: passable in its direction, solid when approached from the other side. */
+    GATE: 14,
+    /** Fragile wall: solid, but shatters (turns EMPTY for the attempt) on a hard enough hit. */
+    FRAGILE: 15
 };
 
 /**
@@ -29,7 +53,79 @@ export const CELL_TYPES = {
 export const MAX_LIVES = 3;
 
 /**
- * localStorage key for saved progress (unlocked levels + best times).
+ * localStorage key for saved progress (completed levels + best times), stored per level pack.
  * @type {string}
  */
 export const STORAGE_KEY = 'tilt-maze-progress';
+
+/**
+ * localStorage key for daily challenge results (best time + attempts per date),
+ * kept apart from the regular level progress.
+ * @type {string}
+ */
+export const DAILY_STORAGE_KEY = 'tilt-maze-daily';
+
+/**
+ * Largest board side (cells, including the border) the level editor and level imports accept.
+ * @type {number}
+ */
+export const MAX_LEVEL_SIZE = 64;
+
+/**
+ * localStorage key for the level currently open in the level editor.
+ * @type {string}
+ */
+export const EDITOR_STORAGE_KEY = 'tilt-maze-editor';
+
+/**
+ * localStorage key for the manifests of level packs uploaded by the player.
+ * @type {string}
+ */
+export const PACKS_STORAGE_KEY = 'tilt-maze-packs';
+
+/**
+ * Fixed physics tick rate (steps per second).
+ * The simulation always advances in steps of this size, independent of the
+ * display refresh rate, so ball speed is identical on 60 Hz and 120 Hz screens.
+ * @type {number}
+ */
+export const PHYSICS_TICK_RATE = 60;
+
+/**
+ * Duration of one physics step in seconds.
+ * @type {number}
+ */
+export const FIXED_TIMESTEP = 1 / PHYSICS_TICK_RATE;
+
+/**
+ * Upper bound for the time (seconds) fed into the physics accumulator per frame.
+ * Prevents a "spiral of death" after long frames (tab switches, debugger pauses).
+ * @type {number}
+ */
+export const MAX_FRAME_TIME = 0.25;
+
+/**
+ * Default physics profile. Levels may override single values
+ * (see `physics` in levels.js and PHYSICS_PRESETS).
+ * @readonly
+ */
+export const DEFAULT_PHYSICS_PROFILE = Object.freeze({
+    /** Maximum ball speed in grid units per physics tick. */
+    maxSpeed: 0.25,
+    /** Velocity factor per physics tick on plain floor (higher = more slippery). */
+    friction: 0.96,
+    /** Tilt acceleration per physics tick at full tilt. */
+    acceleration: 0.012,
+    /** Share of the normal velocity kept after a wall bounce (0 = dead stop, 1 = perfectly elastic). */
+    restitution: 0.8,
+    /** Ball radius in cells. */
+    ballRadius: 0.35,
+    /** Hole radius in cells; the ball falls once its center crosses this rim. */
+    holeRadius: 0.35,
+    /** Distance from a hole center (cells) at which the hole starts pulling the ball in. */
+    holePullRadius: 0.9,
+    /** Pull acceleration per physics tick right at the rim; fades out towards holePullRadius. */
+    holePullStrength: 0.02,
+    /** Minimum speed into a fragile wall (along its normal, cells per physics tick) that shatters it. */
+    breakSpeed: 0.15
+});
@@ -0,0 +1,529 @@
+/**
+ * @file editor.js
+ * @description In-browser level editor for Tilt Maze.
+ *
+ * The {@link LevelEditor} paints walls, holes, the start and the goal on a grid with
+ * mouse or touch (pointer events) and draws the result with its own {@link Renderer}, so
+ * the board looks exactly like in the game. It supports:
+ * - Resizing the board (the outer border is rebuilt as walls)
+ * - Undo/redo of every stroke, resize and reset
+ * - Autosaving the edited level to localStorage
+ * - Exporting the level as source text in the shape of a `LEVELS` entry
+ * - Sharing the level as a link, and downloading/uploading it as a `.json` file
+ * - Test play: the level is validated and handed to the game engine
+ *
+ * Required DOM elements are referenced by id (see index.html): editor-canvas,
+ * editor-name, editor-width, editor-height, editor-status, editor-export,
+ * editor-upload-input and the editor-* buttons; tool buttons carry a `data-tool` attribute.
+ */
+
+import { Renderer } from './renderer.js';
+import { checkLevel, hydrateLevel, TOTAL_LEVELS } from './levels.js';
+import { getShareUrl, levelToJson, parseLevelJson } from './levelShare.js';
+import { EDITOR_STORAGE_KEY, MAX_LEVEL_SIZE } from './constants.js';
+
+const DEFAULT_HANDLER = () => {};
+
+/** Smallest board side (cells, including the border); the largest is MAX_LEVEL_SIZE. */
+const MIN_SIZE = 5;
+
+/** Size of a freshly created level. */
+const DEFAULT_SIZE = 12;
+
+/** Maximum number of undo steps kept. */
+const MAX_HISTORY = 100;
+
+/**
+ * @typedef {'wall'|'hole'|'erase'|'start'|'goal'} EditorTool
+ */
+
+/**
+ * Paints levels on a canvas and exports them as raw level definitions.
+ */
+export class LevelEditor {
+    /**
+     * @param {Object} options
+     * @param {(level: import('./levels.js').RawLevel) => void} [options.onTestPlay] Called with a valid
+     *   level when the user presses "Test Play".
+     * @param {() => void} [options.onClose] Called when the user leaves the editor.
+     */
+    constructor({ onTestPlay = DEFAULT_HANDLER, onClose = DEFAULT_HANDLER } = {}) {
+        this.handlers = { onTestPlay, onClose };
+        this.renderer = new Renderer('editor-canvas');
+        /** @type {EditorTool} */
+        this.tool = 'wall';
+        this.undoStack = [];
+        this.redoStack = [];
+        this.stroke = null; // { paint: boolean, lastKey: string, snapshot: string } while the pointer is down
+        this.level = this.loadDraft() ?? createBlankLevel(DEFAULT_SIZE, DEFAULT_SIZE);
+        this.cacheElements();
+        this.bindEvents();
+    }
+
+    cacheElements() {
+        this.canvas = document.getElementById('editor-canvas');
+        this.inputs = {
+            name: document.getElementById('editor-name'),
+            width: document.getElementById('editor-width'),
+            height: document.getElementById('editor-height')
+        };
+        this.buttons = {
+            undo: document.getElementById('editor-undo-button'),
+            redo: document.getElementById('editor-redo-button'),
+            reset: document.getElementById('editor-new-button'),
+            exportLevel: document.getElementById('editor-export-button'),
+            share: document.getElementById('editor-share-button'),
+            download: document.getElementById('editor-download-button'),
+            testPlay: document.getElementById('editor-test-button'),
+            close: document.getElementById('editor-close-button')
+        };
+        this.toolButtons = Array.from(document.querySelectorAll('#editor-screen [data-tool]'));
+        this.status = document.getElementById('editor-status');
+        this.exportOutput = document.getElementById('editor-export');
+        this.uploadInput = document.getElementById('editor-upload-input');
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            this.canvas.addEventListener(type, () => this.endStroke());
+        });
+
+        this.toolButtons.forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        this.inputs.name?.addEventListener('change', () => {
+            this.commit(() => {
+                this.level.name = this.inputs.name.value.trim() || 'Untitled';
+            });
+        });
+        const onResize = () => this.resize(Number(this.inputs.width.value), Number(this.inputs.height.value));
+        this.inputs.width?.addEventListener('change', onResize);
+        this.inputs.height?.addEventListener('change', onResize);
+
+        this.buttons.undo?.addEventListener('click', () => this.undo());
+        this.buttons.redo?.addEventListener('click', () => this.redo());
+        this.buttons.reset?.addEventListener('click', () => {
+            this.commit(() => {
+                this.level = createBlankLevel(this.level.width, this.level.height);
+            });
+        });
+        this.buttons.exportLevel?.addEventListener('click', () => this.exportLevel());
+        this.buttons.share?.addEventListener('click', () => this.shareLevel());
+        this.buttons.download?.addEventListener('click', () => this.downloadLevel());
+        this.uploadInput?.addEventListener('change', () => {
+            const [file] = this.uploadInput.files;
+            if (file) this.uploadLevel(file);
+            this.uploadInput.value = '';
+        });
+        this.buttons.testPlay?.addEventListener('click', () => this.testPlay());
+        this.buttons.close?.addEventListener('click', () => this.handlers.onClose());
+        // The renderer resizes (and thereby clears) the canvas on window resizes; the game
+        // redraws every frame, the editor has to do it here.
+        window.addEventListener('resize', () => {
+            if (this.canvas.offsetParent !== null) this.redraw();
+        });
+    }
+
+    /**
+     * Shows the current level; call after the editor screen became visible so the canvas
+     * can size itself to its container.
+     */
+    open() {
+        this.setTool(this.tool);
+        this.syncInputs();
+        this.setStatus('');
+        this.redraw();
+    }
+
+    /**
+     * @param {EditorTool} tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.toolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    handlePointerDown(event) {
+        const cell = this.cellFromEvent(event);
+        if (!cell) return;
+        event.preventDefault();
+        this.canvas.setPointerCapture?.(event.pointerId);
+        // A stroke that starts on a cell of the tool's own kind erases instead of painting.
+        const paint = this.tool === 'start' || this.tool === 'goal' || this.tool === 'erase' ||
+            !this.hasCell(this.tool === 'wall' ? 'walls' : 'holes', cell);
+        this.stroke = { paint, lastKey: null, snapshot: JSON.stringify(this.level) };
+        this.paintCell(cell);
+    }
+
+    handlePointerMove(event) {
+        if (!this.stroke) return;
+        const cell = this.cellFromEvent(event);
+        if (cell) this.paintCell(cell);
+    }
+
+    /** Ends the stroke; it becomes one undoable step if it changed any cell. */
+    endStroke() {
+        if (!this.stroke) return;
+        const { snapshot } = this.stroke;
+        this.stroke = null;
+        if (snapshot === JSON.stringify(this.level)) return;
+        this.pushHistory(snapshot);
+        this.saveDraft();
+        this.redraw();
+    }
+
+    /**
+     * Maps a pointer event to the grid cell under it.
+     * @param {PointerEvent} event
+     * @returns {[number, number]|null}
+     */
+    cellFromEvent(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const col = Math.floor(((event.clientX - rect.left) / rect.width) * this.level.width);
+        const row = Math.floor(((event.clientY - rect.top) / rect.height) * this.level.height);
+        if (col < 0 || row < 0 || col >= this.level.width || row >= this.level.height) return null;
+        return [col, row];
+    }
+
+    /**
+     * Applies the active tool to one cell of the current stroke.
+     * The border stays walled, and walls and holes never cover the start or the goal.
+     * @param {[number, number]} cell
+     */
+    paintCell(cell) {
+        const key = `${cell[0]},${cell[1]}`;
+        if (this.stroke.lastKey === key) return;
+        this.stroke.lastKey = key;
+
+        const level = this.level;
+        const onBorder = cell[0] === 0 || cell[1] === 0 || cell[0] === level.width - 1 || cell[1] === level.height - 1;
+        const isMarker = sameCell(cell, level.start) || sameCell(cell, level.goal);
+        if (onBorder) return;
+        switch (this.tool) {
+            case 'start':
+            case 'goal':
+                if (isMarker) return;
+                this.removeCell('walls', cell);
+                this.removeCell('holes', cell);
+                level[this.tool] = cell;
+                break;
+            case 'erase':
+                this.removeCell('walls', cell);
+                this.removeCell('holes', cell);
+                break;
+            default: {
+                const list = this.tool === 'wall' ? 'walls' : 'holes';
+                if (isMarker) return;
+                if (!this.stroke.paint) {
+                    this.removeCell(list, cell);
+                    break;
+                }
+                this.removeCell('walls', cell);
+                this.removeCell('holes', cell);
+                level[list].push(cell);
+            }
+        }
+        this.redraw();
+    }
+
+    hasCell(list, cell) {
+        return this.level[list].some(entry => sameCell(entry, cell));
+    }
+
+    removeCell(list, cell) {
+        this.level[list] = this.level[list].filter(entry => !sameCell(entry, cell));
+    }
+
+    /**
+     * Changes the board size. Interior cells that still fit are kept, the border is
+     * rebuilt as walls, and start/goal are pulled inside the new border.
+     * @param {number} width
+     * @param {number} height
+     */
+    resize(width, height) {
+        const newWidth = clampSize(width);
+        const newHeight = clampSize(height);
+        if (newWidth === this.level.width && newHeight === this.level.height) {
+            this.syncInputs();
+            return;
+        }
+        this.commit(() => {
+            const resized = createBlankLevel(newWidth, newHeight);
+            const fits = ([x, y]) => x > 0 && y > 0 && x < newWidth - 1 && y < newHeight - 1;
+            const wasInterior = ([x, y]) => x > 0 && y > 0 && x < this.level.width - 1 && y < this.level.height - 1;
+            resized.walls.push(...this.level.walls.filter(cell => fits(cell) && wasInterior(cell)));
+            resized.holes = this.level.holes.filter(fits);
+            const clampInside = ([x, y]) => [Math.min(x, newWidth - 2), Math.min(y, newHeight - 2)];
+            resized.start = clampInside(this.level.start);
+            resized.goal = clampInside(this.level.goal);
+            if (sameCell(resized.start, resized.goal)) {
+                resized.goal = [newWidth - 2, newHeight - 2];
+                resized.start = [1, 1];
+            }
+            [resized.start, resized.goal].forEach(cell => {
+                resized.walls = resized.walls.filter(entry => !sameCell(entry, cell));
+                resized.holes = resized.holes.filter(entry => !sameCell(entry, cell));
+            });
+            const { width, height, start, goal, walls, holes } = resized;
+            // Properties the editor does not paint (e.g. from an uploaded level) are kept as they are.
+            this.level = { ...this.level, width, height, start, goal, walls, holes };
+        });
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(JSON.stringify(this.level));
+        this.restore(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(JSON.stringify(this.level));
+        this.restore(this.redoStack.pop());
+    }
+
+    restore(snapshot) {
+        this.level = JSON.parse(snapshot);
+        this.syncInputs();
+        this.saveDraft();
+        this.redraw();
+    }
+
+    /**
+     * Records a level state for undo; any redo history is dropped.
+     * @param {string} [snapshot] Serialized level, the current one by default.
+     */
+    pushHistory(snapshot = JSON.stringify(this.level)) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * Runs an edit as one undoable step and saves the result.
+     * @param {() => void} edit
+     */
+    commit(edit) {
+        this.pushHistory();
+        edit();
+        this.syncInputs();
+        this.saveDraft();
+        this.redraw();
+    }
+
+    syncInputs() {
+        if (this.inputs.name) this.inputs.name.value = this.level.name;
+        if (this.inputs.width) this.inputs.width.value = this.level.width;
+        if (this.inputs.height) this.inputs.height.value = this.level.height;
+    }
+
+    /** Draws the level with the game renderer and refreshes the undo/redo buttons. */
+    redraw() {
+        if (this.buttons.undo) this.buttons.undo.disabled = this.undoStack.length === 0;
+        if (this.buttons.redo) this.buttons.redo.disabled = this.redoStack.length === 0;
+        this.renderer.configureLevel(hydrateLevel(this.level));
+    }
+
+    /**
+     * A copy of the edited level in the raw `LEVELS` shape.
+     * @returns {import('./levels.js').RawLevel}
+     */
+    getLevel() {
+        return JSON.parse(JSON.stringify(this.level));
+    }
+
+    /** Validates the level and hands it to the game, or lists what is wrong with it. */
+    testPlay() {
+        const level = this.getLevel();
+        try {
+            checkLevel(level);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+        this.setStatus('');
+        this.handlers.onTestPlay(level);
+    }
+
+    /** Writes the level as a `LEVELS` entry into the export box and copies it if possible. */
+    exportLevel() {
+        this.showOutput(formatLevelSource(this.level), 'Level copied to the clipboard — paste it into LEVELS in levels.js.',
+            'Copy the level below into LEVELS in levels.js.');
+    }
+
+    /** Puts a link that opens the level in the game into the export box and the clipboard. */
+    shareLevel() {
+        const level = this.getLevel();
+        try {
+            checkLevel(level);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+        this.showOutput(getShareUrl(level, window.location.href), 'Link copied to the clipboard — send it to your team.',
+            'Copy the link below and send it to your team.');
+    }
+
+    /**
+     * Shows text in the export box and tries to copy it to the clipboard.
+     * @param {string} text
+     * @param {string} copiedMessage Status when copying worked.
+     * @param {string} manualMessage Status when the user has to copy by hand.
+     */
+    showOutput(text, copiedMessage, manualMessage) {
+        if (this.exportOutput) {
+            this.exportOutput.value = text;
+            this.exportOutput.hidden = false;
+            this.exportOutput.select();
+        }
+        if (!navigator.clipboard) {
+            this.setStatus(manualMessage);
+            return;
+        }
+        navigator.clipboard.writeText(text).then(
+            () => this.setStatus(copiedMessage),
+            () => this.setStatus(manualMessage)
+        );
+    }
+
+    /** Saves the level as a `.json` file named after it. */
+    downloadLevel() {
+        const blob = new Blob([levelToJson(this.level)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.level.name.trim().replace(/[^\w-]+/g, '-').toLowerCase() || 'level'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Replaces the edited level with an uploaded `.json` level (undoable). Files that do
+     * not hold a valid level are rejected with the reason.
+     * @param {File} file
+     */
+    async uploadLevel(file) {
+        let level;
+        try {
+            level = parseLevelJson(await file.text());
+        } catch (error) {
+            this.setStatus(`Could not load ${file.name}: ${error.message}`, true);
+            return;
+        }
+        this.commit(() => {
+            this.level = level;
+        });
+        this.setStatus(`Loaded "${level.name}" from ${file.name}.`);
+    }
+
+    setStatus(message, isError = false) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    saveDraft() {
+        try {
+            localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(this.level));
+        } catch {
+            /* localStorage may be full or disabled */
+        }
+    }
+
+    /**
+     * @returns {import('./levels.js').RawLevel|null}
+     */
+    loadDraft() {
+        try {
+            const stored = localStorage.getItem(EDITOR_STORAGE_KEY);
+            if (stored) {
+                const level = JSON.parse(stored);
+                hydrateLevel(level);
+                return level;
+            }
+        } catch {
+            /* localStorage may be corrupted or disabled */
+        }
+        return null;
+    }
+}
+
+/**
+ * A new level with a closed border, start at the top left and goal at the bottom right.
+ * @param {number} width
+ * @param {number} height
+ * @returns {import('./levels.js').RawLevel}
+ */
+function createBlankLevel(width, height) {
+    const walls = [];
+    for (let x = 0; x < width; x++) {
+        walls.push([x, 0], [x, height - 1]);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        walls.push([0, y], [width - 1, y]);
+    }
+    return {
+        id: TOTAL_LEVELS + 1,
+        name: 'Untitled',
+        width,
+        height,
+        start: [1, 1],
+        goal: [width - 2, height - 2],
+        walls,
+        holes: []
+    };
+}
+
+/**
+ * Source text of a level in the style of the entries in levels.js: the border as
+ * `Array.from` rows, then the interior cells grouped by row. Properties the editor
+ * does not paint follow as JSON.
+ * @param {import('./levels.js').RawLevel} level
+ * @returns {string}
+ */
+function formatLevelSource(level) {
+    const { id, name, width, height, start, goal, walls: wallCells, holes: holeCells, ...rest } = level;
+    const onBorder = ([x, y]) => x === 0 || y === 0 || x === width - 1 || y === height - 1;
+    const formatRows = (cells) => {
+        const rows = new Map();
+        [...cells].sort((a, b) => a[1] - b[1] || a[0] - b[0]).forEach(([x, y]) => {
+            if (!rows.has(y)) rows.set(y, []);
+            rows.get(y).push(`[${x}, ${y}]`);
+        });
+        return Array.from(rows.values(), row => `            ${row.join(', ')}`);
+    };
+    const walls = [
+        `            ...Array.from({ length: ${width} }, (_, i) => [i, 0])`,
+        `            ...Array.from({ length: ${width} }, (_, i) => [i, ${height - 1}])`,
+        `            ...Array.from({ length: ${height} }, (_, i) => [0, i])`,
+        `            ...Array.from({ length: ${height} }, (_, i) => [${width - 1}, i])`,
+        ...formatRows(wallCells.filter(cell => !onBorder(cell)))
+    ];
+    const holes = formatRows(holeCells);
+    const extras = Object.entries(rest).map(([key, value]) => `,\n        ${key}: ${JSON.stringify(value)}`).join('');
+    return [
+        '    {',
+        `        id: ${id},`,
+        `        name: '${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}',`,
+        `        width: ${width},`,
+        `        height: ${height},`,
+        `        start: [${start.join(', ')}],`,
+        `        goal: [${goal.join(', ')}],`,
+        '        walls: [',
+        walls.join(',\n'),
+        '        ],',
+        `        holes: [${holes.length > 0 ? `\n${holes.join(',\n')}\n        ` : ''}]${extras}`,
+        '    }'
+    ].join('\n');
+}
+
+function clampSize(value) {
+    return Math.max(MIN_SIZE, Math.min(MAX_LEVEL_SIZE, Math.round(Number(value) || MIN_SIZE)));
+}
+
+function sameCell(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
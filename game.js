@@ -4,25 +4,60 @@
  *
  * The {@link GameEngine} ties together:
  * - Input ({@link InputController}) using DeviceOrientation/DeviceMotion with keyboard/touch fallbacks
- * - Physics integration ({@link simulatePhysicsStep})
+ * - Physics integration ({@link simulatePhysicsStep}) on a fixed timestep
  * - Canvas rendering ({@link Renderer})
  * - UI state + overlays ({@link UIManager})
+ * - The level editor ({@link LevelEditor}), whose levels can be test-played
+ * - Level packs (see levelPacks.js), bundled or uploaded by the player
  *
- * It also persists progress (unlocked levels + best times) in localStorage.
+ * It also persists progress (completed levels + best times, per level pack) in localStorage.
  */
 
 import { InputController } from './input.js';
 import { Renderer } from './renderer.js';
 import { BallState, simulatePhysicsStep } from './physics.js';
 import { UIManager } from './ui.js';
-import { getLevelData, TOTAL_LEVELS } from './levels.js';
-import { MAX_LIVES, STORAGE_KEY } from './constants.js';
+import { LevelEditor } from './editor.js';
+import { readLevelFromHash } from './levelShare.js';
+import { getCustomLevelData, getDailyDateKey, getDailyLevelData, getStarRating } from './levels.js';
+import {
+    CORE_PACK_ID,
+    createPackProgress,
+    describePackRequirement,
+    getBundledPacks,
+    getPackGemCount,
+    getPackLevelData,
+    hasNextLevel,
+    isLevelUnlocked,
+    isPackLevelRated,
+    isPackUnlocked,
+    loadPack,
+    parsePackJson
+} from './levelPacks.js';
+import { MAX_LIVES, STORAGE_KEY, DAILY_STORAGE_KEY, PACKS_STORAGE_KEY, FIXED_TIMESTEP, MAX_FRAME_TIME } from './constants.js';
+
+/** How long (seconds) the ball sinks into a hole before the fall is handled. */
+const SINK_DURATION = 0.45;
 
 /**
- * @typedef {Object} ProgressSave
- * @property {number} unlockedLevel Highest unlocked level (1-indexed).
- * @property {number[]} completedLevels Array of completed level numbers.
+ * Saved progress in one level pack; level numbers are positions in the pack.
+ * @typedef {Object} PackProgressSave
+ * @property {number[]} completed Array of completed level numbers.
  * @property {Record<string, number>} bestTimes Map: levelNumber -> bestTime (seconds).
+ * @property {Record<string, number>} gems Map: levelNumber -> most gems collected in one run.
+ * @property {Record<string, number>} stars Map: levelNumber -> best star rating (1-3).
+ */
+
+/**
+ * @typedef {Object} ProgressSave
+ * @property {Record<string, PackProgressSave>} packs Map: pack id -> progress in that pack.
+ */
+
+/**
+ * Result of one day's daily challenge.
+ * @typedef {Object} DailyResult
+ * @property {number|null} bestTime Best time in seconds, or null if not finished yet.
+ * @property {number} attempts How often the daily level was started or restarted.
  */
 
 /**
@@ -38,19 +73,36 @@ class GameEngine {
      * The engine starts paused and will begin once the user presses Start.
      */
     constructor() {
-        this.renderer = new Renderer('game-canvas');
-        this.ball = new BallState();
-        this.currentLevel = 1;
+        this.renderer = new Renderer('game-canvas', {
+            camera: true,
+            onScrollChange: (scrolling) => this.ui?.setMinimapAvailable(scrolling)
+        });
+        this.balls = [new BallState()]; // One ball per spawn point of the level
+        this.currentLevel = 1; // 1-indexed position in the current pack
+        this.currentPackId = CORE_PACK_ID;
         this.levelData = null;
         this.lives = MAX_LIVES;
-        this.levelStartTime = 0;
-        this.elapsedTime = 0;
+        this.levelStartLives = MAX_LIVES; // Lives when the current level was entered (for the star rating)
+        this.elapsedTime = 0; // Simulated seconds on the current level (physics ticks x FIXED_TIMESTEP)
         this.isRunning = false;
         this.isPaused = true;
         this.animationFrame = null;
-        this.completedLevels = new Set();
-        this.bestTimes = {}; // { levelNumber: bestTimeInSeconds }
+        this.lastFrameTime = 0;
+        this.accumulator = 0; // Unsimulated time (seconds) carried over between frames
+        this.sinking = null; // { hole, ball, elapsed } while a ball drops into a hole
+        /** @type {import('./levelPacks.js').LevelPack[]} */
+        this.packs = [];
+        this.uploadedManifests = []; // Raw manifests of uploaded packs, as saved
+        /** @type {Record<string, import('./levelPacks.js').PackProgress>} */
+        this.progress = {}; // { packId: PackProgress }
+        this.dailyDate = null; // Date key while a daily challenge run is active
+        this.customLevel = null; // Raw level while playing a level from the editor or a shared link
+        this.testPlaying = false; // Whether the custom level came from the editor
+        /** @type {Record<string, DailyResult>} */
+        this.dailyResults = {}; // { dateKey: DailyResult }
+        const packErrors = this.loadPacks();
         this.loadProgress();
+        this.loadDailyResults();
 
         this.input = new InputController({
             onSensorStatus: (message) => this.ui?.updateSensorStatus(message),
@@ -59,9 +111,13 @@ class GameEngine {
         });
 
         this.ui = new UIManager({
-            totalLevels: TOTAL_LEVELS,
-            onStart: () => this.requestPermissionAndBegin(1),
-            onSelectLevel: (level) => this.requestPermissionAndBegin(level),
+            packs: this.buildPackViews(),
+            onStart: () => this.requestPermissionAndBegin(1, CORE_PACK_ID),
+            onSelectLevel: (level, packId) => this.requestPermissionAndBegin(level, packId),
+            onImportPack: (file) => this.importPack(file),
+            onStartDaily: () => this.requestPermissionAndBeginDaily(),
+            onShowDaily: () => this.ui.showDailyScreen(this.dailyResults, getDailyDateKey()),
+            onOpenEditor: () => this.openEditor(),
             onPause: () => this.pauseGame(),
             onResume: () => this.resumeGame(),
             onRestart: () => this.restartLevel(),
@@ -71,11 +127,21 @@ class GameEngine {
             onCalibrate: async () => {
                 if (!this.input.deviceOrientationActive) await this.input.requestPermission();
                 this.input.calibrate();
-            }
+            },
+            onToggleMinimap: () => this.toggleMinimap()
+        });
+
+        this.editor = new LevelEditor({
+            onTestPlay: (level) => this.requestPermissionAndBeginCustomLevel(level, { testPlay: true }),
+            onClose: () => this.ui.showScreen('start')
         });
 
         this.syncUIProgress();
         this.bindSystemEvents();
+        if (packErrors.length > 0) {
+            this.ui.showStartMessage(packErrors.join(' '), true);
+        }
+        this.openSharedLevel();
     }
 
     /**
@@ -83,30 +149,56 @@ class GameEngine {
      * If permission is denied, the game continues with keyboard/touch controls.
      *
      * @param {number} levelNumber 1-indexed level number to start.
+     * @param {string} [packId] Pack the level belongs to; defaults to the bundled pack.
+     */
+    async requestPermissionAndBegin(levelNumber, packId = CORE_PACK_ID) {
+        await this.requestSensorPermission();
+        this.beginAdventure(levelNumber, { resetProgress: false, packId });
+    }
+
+    /** Same as {@link GameEngine#requestPermissionAndBegin}, but starts today's daily challenge. */
+    async requestPermissionAndBeginDaily() {
+        await this.requestSensorPermission();
+        this.beginDaily();
+    }
+
+    /**
+     * Same as {@link GameEngine#requestPermissionAndBegin}, but plays a custom level.
+     * @param {import('./levels.js').RawLevel} level
+     * @param {{testPlay?: boolean}} [options] See {@link GameEngine#beginCustomLevel}.
      */
-    async requestPermissionAndBegin(levelNumber) {
+    async requestPermissionAndBeginCustomLevel(level, options) {
+        await this.requestSensorPermission();
+        this.beginCustomLevel(level, options);
+    }
+
+    /** Asks for motion-sensor access; failures are ignored in favor of keyboard/touch. */
+    async requestSensorPermission() {
         try {
             await this.input.requestPermission();
         } catch {
             /* permission denied or unavailable - continue with keyboard/touch */
         }
-        this.beginAdventure(levelNumber, { resetProgress: false });
     }
 
     /**
      * Resets runtime state and loads a level.
      *
-     * @param {number} levelNumber 1-indexed level number.
-     * @param {{resetProgress?: boolean}} [options]
+     * @param {number} levelNumber 1-indexed level number within the pack.
+     * @param {{resetProgress?: boolean, packId?: string}} [options]
      */
-    beginAdventure(levelNumber, { resetProgress } = { resetProgress: false }) {
+    beginAdventure(levelNumber, { resetProgress = false, packId = CORE_PACK_ID } = {}) {
         try {
             this.pauseGame();
             if (resetProgress) {
                 this.resetProgress();
             }
+            this.dailyDate = null;
+            this.customLevel = null;
+            this.currentPackId = packId;
             this.currentLevel = levelNumber;
             this.lives = MAX_LIVES;
+            this.levelStartLives = this.lives;
             this.loadLevel(levelNumber);
             this.ui.hideAllScreens();
             this.ui.updateHUD({ lives: this.lives });
@@ -115,31 +207,118 @@ class GameEngine {
             }, 50);
         } catch (error) {
             this.returnToMenu();
+            this.ui.showStartMessage(`Could not start the level. ${error.message}`, true);
         }
     }
 
     /**
-     * Loads level data and resets the ball and HUD.
-     * @param {number} levelNumber 1-indexed level number.
+     * Starts today's daily challenge. The date is fixed when the run starts, so a run
+     * across midnight still counts for the day it began.
+     */
+    beginDaily() {
+        try {
+            this.pauseGame();
+            this.dailyDate = getDailyDateKey();
+            this.customLevel = null;
+            this.lives = MAX_LIVES;
+            this.levelStartLives = this.lives;
+            this.loadLevel(this.currentLevel);
+            this.recordDailyAttempt();
+            this.ui.hideAllScreens();
+            setTimeout(() => {
+                this.resumeGame();
+            }, 50);
+        } catch (error) {
+            this.dailyDate = null;
+            this.returnToMenu();
+            this.ui.showStartMessage(`Could not start the daily challenge. ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Plays a level that is not part of the level list: a test play from the editor or a
+     * level opened from a shared link. Runs are not recorded; leaving a test play through
+     * the menu goes back to the editor.
+     * @param {import('./levels.js').RawLevel} level
+     * @param {{testPlay?: boolean}} [options]
+     */
+    beginCustomLevel(level, { testPlay = false } = {}) {
+        try {
+            this.pauseGame();
+            this.dailyDate = null;
+            this.customLevel = level;
+            this.testPlaying = testPlay;
+            this.lives = MAX_LIVES;
+            this.levelStartLives = this.lives;
+            this.loadLevel(level);
+            this.ui.hideAllScreens();
+            setTimeout(() => {
+                this.resumeGame();
+            }, 50);
+        } catch (error) {
+            const message = `Could not start the level. ${error.message}`;
+            this.returnToMenu();
+            if (testPlay) {
+                this.editor.setStatus(message, true);
+            } else {
+                this.ui.showStartMessage(message, true);
+            }
+        }
+    }
+
+    /** Shows the level editor screen. */
+    openEditor() {
+        this.pauseGame();
+        this.customLevel = null;
+        this.ui.showScreen('editor');
+        this.editor.open();
+    }
+
+    /**
+     * Loads level data, creates one ball per spawn point with the level's physics profile and resets the HUD.
+     * During a daily challenge the daily level is loaded instead.
+     * @param {number|import('./levels.js').RawLevel} levelNumber 1-indexed level number in the current pack
+     *   (ignored during a daily challenge), or a raw level definition such as one from the editor.
      */
     loadLevel(levelNumber) {
-        this.levelData = getLevelData(levelNumber);
-        this.ball.reset(this.levelData.start.x, this.levelData.start.y);
+        if (typeof levelNumber === 'object') {
+            this.levelData = getCustomLevelData(levelNumber);
+        } else {
+            this.levelData = this.dailyDate
+                ? getDailyLevelData(this.dailyDate)
+                : getPackLevelData(this.getCurrentPack(), levelNumber);
+        }
+        this.balls = this.levelData.starts.map((start) => {
+            const ball = new BallState();
+            ball.applyProfile(this.levelData.physics);
+            ball.reset(start.x, start.y);
+            return ball;
+        });
         this.renderer.configureLevel(this.levelData);
-        this.renderer.render(this.ball);
-        this.levelStartTime = 0;
+        this.renderer.render(this.balls);
         this.elapsedTime = 0;
+        this.lastFrameTime = 0;
+        this.accumulator = 0;
+        this.sinking = null;
         this.ui.updateHUD({
-            levelNumber,
+            levelNumber: this.customLevel ? (this.testPlaying ? 'Test' : 'Shared') : this.dailyDate ? 'Daily' : levelNumber,
+            packId: this.currentPackId,
             levelName: this.levelData.name,
             timeSeconds: 0,
             lives: this.lives
         });
     }
 
-    /** Restarts the current level while keeping remaining lives. */
+    /**
+     * Restarts the current level while keeping remaining lives.
+     * The level is re-hydrated, so per-run state (doors, switches, movers) starts fresh.
+     * During a daily challenge every restart counts as another attempt.
+     */
     restartLevel() {
-        this.loadLevel(this.currentLevel);
+        this.loadLevel(this.customLevel ?? this.currentLevel);
+        if (this.dailyDate) {
+            this.recordDailyAttempt();
+        }
         this.ui.updateHUD({ lives: this.lives });
         this.resumeGame();
     }
@@ -150,15 +329,27 @@ class GameEngine {
      */
     resumeGame() {
         if (!this.levelData) {
-            this.loadLevel(this.currentLevel);
+            this.loadLevel(this.customLevel ?? this.currentLevel);
         }
         this.isPaused = false;
         this.isRunning = true;
+        // Do not let the paused duration flood the physics accumulator.
+        this.lastFrameTime = 0;
         if (!this.animationFrame) {
             this.animationFrame = requestAnimationFrame((ts) => this.gameLoop(ts));
         }
     }
 
+    /** Shows or hides the minimap of a scrolling level; redraws right away if the game is paused. */
+    toggleMinimap() {
+        const visible = !this.renderer.minimapVisible;
+        this.renderer.setMinimapVisible(visible);
+        this.ui.setMinimapActive(visible);
+        if (this.isPaused && this.levelData) {
+            this.renderer.render(this.balls.map((ball) => ball.getInterpolatedPosition(1)));
+        }
+    }
+
     /** Pauses the animation loop (stops requestAnimationFrame). */
     pauseGame() {
         this.isPaused = true;
@@ -169,17 +360,43 @@ class GameEngine {
         }
     }
 
-    /** Returns to the main menu (start screen) and pauses the game. */
+    /** Returns to the main menu (start screen), or to the editor after a test play, and pauses the game. */
     returnToMenu() {
         this.pauseGame();
+        if (this.customLevel && this.testPlaying) {
+            this.openEditor();
+            return;
+        }
         this.ui.showScreen('start');
     }
 
+    /**
+     * Starts the level from a `#level=...` link, if the page was opened with one.
+     * A broken link is reported on the start screen.
+     */
+    openSharedLevel() {
+        let level;
+        try {
+            level = readLevelFromHash(window.location.hash);
+        } catch (error) {
+            this.ui.showStartMessage(`Could not open the shared level. ${error.message}`, true);
+            return;
+        }
+        if (level) {
+            this.ui.showStartMessage('');
+            this.requestPermissionAndBeginCustomLevel(level);
+        }
+    }
+
     /**
      * Main loop driven by requestAnimationFrame.
-     * - Updates timer
      * - Reads normalized tilt input
-     * - Advances physics and renders
+     * - Advances physics in fixed steps ({@link FIXED_TIMESTEP}) using an accumulator,
+     *   so the simulation speed does not depend on the display refresh rate
+     * - Updates the timer by the simulated time, so frames dropped after a hitch or a
+     *   background tab (capped by {@link MAX_FRAME_TIME}) do not count towards it
+     * - Renders the balls interpolated between the last two physics steps
+     * - Plays the sinking animation after a ball crossed a hole rim
      * - Triggers win/lose handling when needed
      *
      * @param {number} timestamp High resolution timestamp provided by requestAnimationFrame.
@@ -190,20 +407,50 @@ class GameEngine {
             return;
         }
 
-        if (!this.levelStartTime) {
-            this.levelStartTime = timestamp;
+        if (!this.lastFrameTime) {
+            this.lastFrameTime = timestamp;
         }
-        this.elapsedTime = (timestamp - this.levelStartTime) / 1000;
-        this.ui.updateHUD({ timeSeconds: this.elapsedTime });
+        const frameTime = Math.min(MAX_FRAME_TIME, (timestamp - this.lastFrameTime) / 1000);
+        this.lastFrameTime = timestamp;
+
+        if (this.sinking) {
+            this.updateSinking(frameTime);
+            return;
+        }
+        this.accumulator += frameTime;
 
         const tilt = this.input.getTilt();
-        this.ball.applyTilt(tilt.x, tilt.y);
-        
-        const result = simulatePhysicsStep(this.ball, this.levelData.grid);
-        this.renderer.render(this.ball);
+        let result = { hitHole: false, reachedGoal: false };
+        while (this.accumulator >= FIXED_TIMESTEP) {
+            this.balls.forEach((ball) => {
+                if (!ball.docked) ball.applyTilt(tilt.x, tilt.y);
+            });
+            result = simulatePhysicsStep(this.balls, this.levelData.grid, this.levelData);
+            this.accumulator -= FIXED_TIMESTEP;
+            this.elapsedTime += FIXED_TIMESTEP;
+            result.teleports.forEach((teleport) => this.renderer.playTeleportEffect(teleport));
+            result.switchEvents.forEach((event) => {
+                if (event.pressed) this.renderer.playSwitchEffect(event);
+            });
+            result.collected.forEach((event) => this.renderer.playCollectEffect(event));
+            if (result.checkpoint) {
+                this.renderer.playCheckpointEffect(result.checkpoint);
+            }
+            result.breaks.forEach((event) => this.renderer.playBreakEffect(event));
+            if (result.hitHole || result.reachedGoal) {
+                break;
+            }
+        }
+
+        this.ui.updateHUD({ timeSeconds: this.elapsedTime });
+
+        const levelEnded = result.hitHole || result.reachedGoal;
+        const alpha = levelEnded ? 1 : this.accumulator / FIXED_TIMESTEP;
+        this.renderer.render(this.balls.map((ball) => ball.getInterpolatedPosition(alpha)), alpha);
 
         if (result.hitHole) {
-            this.handleFall();
+            this.sinking = { hole: result.hole, ball: result.fallenBall, elapsed: 0 };
+            this.animationFrame = requestAnimationFrame((ts) => this.gameLoop(ts));
         } else if (result.reachedGoal) {
             this.handleWin();
         } else {
@@ -212,93 +459,261 @@ class GameEngine {
     }
 
     /**
-     * Handles the lose condition (ball fell into a hole).
-     * Decrements a life and shows the lose overlay; resets the run on 0 lives.
+     * Advances the sinking animation and hands over to {@link GameEngine#handleFall} once it is done.
+     * Physics is frozen meanwhile; tilting has no effect.
+     * @param {number} frameTime Seconds since the previous frame.
+     */
+    updateSinking(frameTime) {
+        this.sinking.elapsed += frameTime;
+        const progress = Math.min(1, this.sinking.elapsed / SINK_DURATION);
+        const { ball: fallenBall, hole } = this.sinking;
+        this.renderer.renderSinking(
+            this.balls.map((ball) => ball.getInterpolatedPosition(1)),
+            this.balls.indexOf(fallenBall),
+            hole,
+            progress
+        );
+        if (progress >= 1) {
+            this.sinking = null;
+            this.handleFall(fallenBall);
+        } else {
+            this.animationFrame = requestAnimationFrame((ts) => this.gameLoop(ts));
+        }
+    }
+
+    /**
+     * Handles the lose condition (a ball fell into a hole).
+     * Decrements a life; respawns that ball at the last reached checkpoint if there is one,
+     * otherwise shows the lose overlay. Resets the run on 0 lives.
+     * @param {BallState} fallenBall
      */
-    handleFall() {
+    handleFall(fallenBall) {
         this.lives -= 1;
         this.ui.updateHUD({ lives: this.lives });
+
+        if (this.lives > 0 && this.levelData.activeCheckpoint) {
+            this.respawnAtCheckpoint(fallenBall, this.levelData.activeCheckpoint);
+            return;
+        }
         this.pauseGame();
         
-        if (this.lives <= 0) {
+        if (this.lives <= 0 && (this.dailyDate || this.customLevel)) {
+            // Daily challenges are scored by attempts and test plays are not scored: start over.
+            this.lives = MAX_LIVES;
+            this.levelStartLives = this.lives;
+            this.loadLevel(this.customLevel ?? this.currentLevel);
+            this.ui.showLoseScreen({ allLivesLost: false });
+        } else if (this.lives <= 0) {
             this.lives = MAX_LIVES;
+            this.levelStartLives = this.lives;
             this.currentLevel = 1;
             this.loadLevel(1);
-            this.ui.updateHUD({ lives: this.lives, levelNumber: 1, levelName: this.levelData.name });
+            this.ui.updateHUD({ lives: this.lives, levelNumber: 1, packId: this.currentPackId, levelName: this.levelData.name });
             this.ui.showLoseScreen({ allLivesLost: true });
         } else {
-            this.loadLevel(this.currentLevel);
+            this.loadLevel(this.customLevel ?? this.currentLevel);
             this.ui.showLoseScreen({ allLivesLost: false });
         }
     }
 
+    /**
+     * Puts a ball back on a checkpoint with zero velocity and keeps the run going.
+     * The timer is not reset, and per-run state (doors, items, movers, other balls) is kept.
+     * @param {BallState} ball
+     * @param {import('./levels.js').Checkpoint} checkpoint
+     */
+    respawnAtCheckpoint(ball, checkpoint) {
+        ball.reset(checkpoint.col + 0.5, checkpoint.row + 0.5);
+        this.accumulator = 0;
+        this.renderer.playCheckpointEffect(checkpoint);
+        if (this.isRunning && !this.isPaused) {
+            this.animationFrame = requestAnimationFrame((ts) => this.gameLoop(ts));
+        }
+    }
+
     /**
      * Handles the win condition (ball reached the goal).
-     * Stores best time, unlocks next level, and shows the win overlay.
+     * Stores best time, most gems collected and best star rating in the current pack's
+     * progress, unlocks the next level, and shows the win overlay.
      */
     handleWin() {
         this.pauseGame();
-        this.completedLevels.add(this.currentLevel);
+        if (this.dailyDate) {
+            this.handleDailyWin();
+            return;
+        }
+        const rating = this.rateRun();
+        if (this.customLevel) {
+            this.ui.showWinScreen({ timeSeconds: this.elapsedTime, rating, par: this.levelData.par, showNextButton: false });
+            return;
+        }
+        const pack = this.getCurrentPack();
+        const progress = this.getPackProgress(pack.id);
+        progress.completed.add(this.currentLevel);
         
         // Check if this is a new best time
-        const previousBest = this.bestTimes[this.currentLevel];
+        const previousBest = progress.bestTimes[this.currentLevel];
         const isNewRecord = previousBest === undefined || this.elapsedTime < previousBest;
         
         if (isNewRecord) {
-            this.bestTimes[this.currentLevel] = this.elapsedTime;
+            progress.bestTimes[this.currentLevel] = this.elapsedTime;
+        }
+
+        const gemsCollected = this.levelData.items.filter((item) => item.type === 'gem' && item.collected).length;
+        const totalGems = getPackGemCount(pack, this.currentLevel);
+        if (totalGems > 0 && gemsCollected > (progress.bestGems[this.currentLevel] || 0)) {
+            progress.bestGems[this.currentLevel] = gemsCollected;
+        }
+        if (rating && rating.stars > (progress.bestStars[this.currentLevel] || 0)) {
+            progress.bestStars[this.currentLevel] = rating.stars;
         }
         
-        this.ui.markLevelCompleted(this.currentLevel);
         this.saveProgress();
-        const hasNext = this.currentLevel < TOTAL_LEVELS;
+        this.syncUIProgress();
+        // Packs with endless mazes keep going past their last level.
         this.ui.showWinScreen({ 
             timeSeconds: this.elapsedTime, 
-            bestTime: this.bestTimes[this.currentLevel],
+            bestTime: progress.bestTimes[this.currentLevel],
             isNewRecord: isNewRecord,
-            showNextButton: hasNext, 
-            isFinalLevel: !hasNext 
+            gemsCollected,
+            totalGems,
+            rating,
+            par: this.levelData.par,
+            showNextButton: hasNextLevel(pack, this.currentLevel), 
+            isFinalLevel: this.currentLevel === pack.levels.length 
         });
-        if (!hasNext) {
-            this.currentLevel = TOTAL_LEVELS;
+    }
+
+    /**
+     * Star rating of the run that just reached the goal, based on its time and the lives
+     * lost since the level was entered (restarts included).
+     * @returns {import('./levels.js').StarRating|null} null for levels without par times.
+     */
+    rateRun() {
+        if (!this.levelData.par) return null;
+        return getStarRating(this.levelData.par, {
+            timeSeconds: this.elapsedTime,
+            livesLost: this.levelStartLives - this.lives
+        });
+    }
+
+    /**
+     * Win handling for the daily challenge: stores the day's best time next to its
+     * attempt count, leaving regular progress untouched.
+     */
+    handleDailyWin() {
+        const result = this.dailyResults[this.dailyDate];
+        const isNewRecord = result.bestTime === null || this.elapsedTime < result.bestTime;
+        if (isNewRecord) {
+            result.bestTime = this.elapsedTime;
         }
+        this.saveDailyResults();
+        this.ui.showWinScreen({
+            timeSeconds: this.elapsedTime,
+            bestTime: result.bestTime,
+            isNewRecord,
+            showNextButton: false,
+            isFinalLevel: false
+        });
     }
 
-    /** Loads the next level if available. */
+    /** Counts one more attempt at the active daily challenge. */
+    recordDailyAttempt() {
+        const result = this.dailyResults[this.dailyDate] ?? { bestTime: null, attempts: 0 };
+        result.attempts += 1;
+        this.dailyResults[this.dailyDate] = result;
+        this.saveDailyResults();
+    }
+
+    /** Loads the next level of the pack; after the last level of an endless pack this continues with generated mazes. */
     advanceToNextLevel() {
         try {
             this.pauseGame();
-            if (this.currentLevel < TOTAL_LEVELS) {
-                this.currentLevel += 1;
-            } else {
-                return;
-            }
-            this.loadLevel(this.currentLevel);
+            this.currentLevel += 1;
+            this.levelStartLives = this.lives;
+            this.loadLevel(this.customLevel ?? this.currentLevel);
             setTimeout(() => {
                 this.resumeGame();
             }, 100);
         } catch (error) {
             this.returnToMenu();
+            this.ui.showStartMessage(`Could not load the next level. ${error.message}`, true);
         }
     }
 
+    /** @returns {import('./levelPacks.js').LevelPack} The pack of the current level. */
+    getCurrentPack() {
+        const pack = this.packs.find((candidate) => candidate.id === this.currentPackId);
+        if (!pack) {
+            throw new Error(`Level pack "${this.currentPackId}" is not installed.`);
+        }
+        return pack;
+    }
+
+    /**
+     * Progress in a pack, created empty on first use.
+     * @param {string} packId
+     * @returns {import('./levelPacks.js').PackProgress}
+     */
+    getPackProgress(packId) {
+        this.progress[packId] ??= createPackProgress();
+        return this.progress[packId];
+    }
+
     /**
-     * Clears locally stored progress and resets unlocked levels/best times.
+     * Adds a level pack from an uploaded `.json` manifest and remembers it for later visits.
+     * Uploading a pack with the id of an uploaded pack replaces it and keeps its progress;
+     * ids of bundled packs are refused.
+     * @param {File} file
+     */
+    async importPack(file) {
+        let pack;
+        let manifest;
+        try {
+            ({ manifest, pack } = parsePackJson(await file.text()));
+        } catch (error) {
+            this.ui.showStartMessage(`Could not load ${file.name}: ${error.message}`, true);
+            return;
+        }
+        const existing = this.packs.find((candidate) => candidate.id === pack.id);
+        if (existing?.bundled) {
+            this.ui.showStartMessage(`Could not load ${file.name}: the pack id "${pack.id}" belongs to a pack that ships with the game.`, true);
+            return;
+        }
+        this.uploadedManifests = [...this.uploadedManifests.filter((other) => other.id !== pack.id), manifest];
+        this.packs = existing
+            ? this.packs.map((candidate) => (candidate === existing ? pack : candidate))
+            : [...this.packs, pack];
+        this.savePacks();
+        this.syncUIProgress();
+        this.ui.showStartMessage(existing
+            ? `Updated the level pack "${pack.title}".`
+            : `Added the level pack "${pack.title}" to the level picker.`);
+    }
+
+    /**
+     * Clears locally stored progress of all packs and resets unlocked levels/best times.
      * This does not remove runtime state (like the current ball position).
      */
     resetProgress() {
-        this.completedLevels.clear();
-        this.bestTimes = {};
+        this.progress = {};
         localStorage.removeItem(STORAGE_KEY);
-        this.ui.resetProgress();
+        this.syncUIProgress();
     }
 
-    /** Persists current progress (unlocked level, completed levels, best times) to localStorage. */
+    /** Persists current progress (completed levels, best times, gems per pack) to localStorage. */
     saveProgress() {
         try {
-            const payload = { 
-                completed: Array.from(this.completedLevels),
-                bestTimes: this.bestTimes
-            };
+            /** @type {ProgressSave} */
+            const payload = { packs: {} };
+            Object.entries(this.progress).forEach(([packId, progress]) => {
+                payload.packs[packId] = {
+                    completed: Array.from(progress.completed),
+                    bestTimes: progress.bestTimes,
+                    gems: progress.bestGems,
+                    stars: progress.bestStars
+                };
+            });
             localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
         } catch {
             /* localStorage may be full or disabled */
@@ -307,17 +722,78 @@ class GameEngine {
 
     /**
      * Loads progress from localStorage.
-     * Safe to call on fresh installs; uses defaults when no save exists.
+     * Safe to call on fresh installs; uses defaults when no save exists. Saves from before
+     * level packs existed are moved into the bundled pack, whose levels keep their numbers.
      */
     loadProgress() {
         try {
             const stored = localStorage.getItem(STORAGE_KEY);
             if (stored) {
                 const data = JSON.parse(stored);
-                (data.completed || []).forEach((level) => this.completedLevels.add(level));
-                if (data.bestTimes) {
-                    this.bestTimes = data.bestTimes;
+                const packs = data.packs ?? { [CORE_PACK_ID]: data };
+                Object.entries(packs).forEach(([packId, saved]) => {
+                    const progress = this.getPackProgress(packId);
+                    (saved.completed || []).forEach((level) => progress.completed.add(level));
+                    progress.bestTimes = saved.bestTimes || {};
+                    progress.bestGems = saved.gems || {};
+                    progress.bestStars = saved.stars || {};
+                });
+            }
+        } catch {
+            /* localStorage may be corrupted or disabled */
+        }
+    }
+
+    /** Persists the manifests of uploaded level packs to localStorage. */
+    savePacks() {
+        try {
+            localStorage.setItem(PACKS_STORAGE_KEY, JSON.stringify(this.uploadedManifests));
+        } catch {
+            /* localStorage may be full or disabled */
+        }
+    }
+
+    /**
+     * Installs the bundled packs plus the packs uploaded on earlier visits.
+     * Stored packs that no longer load are skipped.
+     * @returns {string[]} One message per skipped pack, for the start screen.
+     */
+    loadPacks() {
+        this.packs = getBundledPacks();
+        const errors = [];
+        try {
+            const stored = localStorage.getItem(PACKS_STORAGE_KEY);
+            (stored ? JSON.parse(stored) : []).forEach((manifest) => {
+                try {
+                    const pack = loadPack(manifest);
+                    if (this.packs.some((candidate) => candidate.id === pack.id)) return;
+                    this.packs.push(pack);
+                    this.uploadedManifests.push(manifest);
+                } catch (error) {
+                    errors.push(`Could not load the saved level pack "${manifest?.title ?? manifest?.id ?? '?'}": ${error.message}`);
                 }
+            });
+        } catch {
+            /* localStorage may be corrupted or disabled */
+        }
+        return errors;
+    }
+
+    /** Persists daily challenge results to localStorage. */
+    saveDailyResults() {
+        try {
+            localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify(this.dailyResults));
+        } catch {
+            /* localStorage may be full or disabled */
+        }
+    }
+
+    /** Loads daily challenge results from localStorage. */
+    loadDailyResults() {
+        try {
+            const stored = localStorage.getItem(DAILY_STORAGE_KEY);
+            if (stored) {
+                this.dailyResults = JSON.parse(stored) || {};
             }
         } catch {
             /* localStorage may be corrupted or disabled */
@@ -325,14 +801,39 @@ class GameEngine {
     }
 
     /**
-     * Synchronizes persisted progress state to the UI (completed markers, best times, unlocked level).
+     * Synchronizes persisted progress state to the UI (completed markers, best times, unlocked levels per pack).
      */
     syncUIProgress() {
-        Array.from(this.completedLevels).sort((a, b) => a - b).forEach((level) => {
-            this.ui?.markLevelCompleted(level);
+        this.ui?.setPacks(this.buildPackViews());
+    }
+
+    /**
+     * Level picker view of every installed pack with its progress and lock state.
+     * @returns {import('./ui.js').PackView[]}
+     */
+    buildPackViews() {
+        return this.packs.map((pack) => {
+            const progress = this.getPackProgress(pack.id);
+            const unlocked = isPackUnlocked(pack, this.progress, this.packs);
+            return {
+                id: pack.id,
+                title: pack.title,
+                author: pack.author,
+                lockReason: unlocked ? '' : describePackRequirement(pack, this.packs),
+                levels: pack.levels.map((_, index) => {
+                    const level = index + 1;
+                    return {
+                        unlocked: isLevelUnlocked(pack, level, this.progress, this.packs),
+                        completed: progress.completed.has(level),
+                        bestTime: progress.bestTimes[level],
+                        gems: progress.bestGems[level] || 0,
+                        totalGems: getPackGemCount(pack, level),
+                        rated: isPackLevelRated(pack, level),
+                        stars: progress.bestStars[level] || 0
+                    };
+                })
+            };
         });
-        // Sync best times to UI
-        this.ui?.updateBestTimes(this.bestTimes);
     }
 
     /**
@@ -340,6 +841,7 @@ class GameEngine {
      * - Pause the game when the tab is hidden
      * - Show an orientation warning on small screens in portrait
      * - Keep CSS --app-height in sync with VisualViewport for mobile browsers
+     * - Open level links pasted into the address bar while the game is open
      */
     bindSystemEvents() {
         document.addEventListener('visibilitychange', () => {
@@ -347,6 +849,8 @@ class GameEngine {
                 this.pauseGame();
             }
         });
+        // Pasting another level link into the address bar only changes the hash.
+        window.addEventListener('hashchange', () => this.openSharedLevel());
         this.orientationQuery = window.matchMedia('(orientation: portrait) and (max-width: 900px)');
         const updateOrientation = () => {
             this.ui.setOrientationWarning(this.orientationQuery.matches);
@@ -42,6 +42,12 @@ const KEY_MAP = {
 
 const SUPPORTED_KEYS = Object.keys(KEY_MAP);
 
+/** Whether a key event goes to a text field (e.g. the level editor), where WASD are letters. */
+function isTextEntry(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
 /**
  * Normalizes different input sources into a single tilt vector.
  *
@@ -417,7 +423,7 @@ export class InputController {
 
         document.addEventListener('keydown', (event) => {
             const key = event.key.toLowerCase();
-            if (!SUPPORTED_KEYS.includes(key)) return;
+            if (!SUPPORTED_KEYS.includes(key) || isTextEntry(event.target)) return;
             event.preventDefault();
             updateKeyFromEvent(key, true);
             if (!this.deviceOrientationActive) this.switchMode('keyboard');
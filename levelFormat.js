@@ -0,0 +1,307 @@
+/**
+ * @file levelFormat.js
+ * @description Text map format for levels: a parser that turns ASCII maps into the
+ * {@link RawLevel} shape used by levels.js, and a serializer that turns raw levels
+ * back into maps.
+ *
+ * A map is written one string per row, one character per cell:
+ *
+ *     map: [
+ *         '##########',
+ *         '#S..O...G#',
+ *         '##########'
+ *     ]
+ *
+ * Built-in tiles (see {@link DEFAULT_LEGEND}):
+ * - `#` wall, `O` hole, `S` start, `G` goal, `.` or space floor
+ * - `%` fragile wall, `~` ice, `,` mud, `:` sand, `C` checkpoint
+ * - `*` gem, `k` key, `D` closed door, `d` open door
+ * - `B` extra ball, `g` extra goal socket (multi-ball levels)
+ * - `>` `<` `^` `v` one-way gates (pass direction)
+ *
+ * Tiles that need parameters are declared in a per-level `legend`, e.g.
+ * `legend: { a: { type: 'booster', direction: 'right' }, t: { type: 'teleporter' } }`.
+ * Every teleporter character must appear exactly twice (one pair).
+ *
+ * Everything a map cannot express (movers, geometry, force fields, physics) is passed
+ * through unchanged. Coordinate lists given next to the map (e.g. `gems`) are appended
+ * to the ones read from it.
+ */
+
+import { CELL_TYPES } from './constants.js';
+import { DIRECTIONS, SURFACES, cellKey, hydrateLevel } from './levels.js';
+
+/**
+ * A level written as a text map.
+ * @typedef {Object} AsciiLevel
+ * @property {number} id
+ * @property {string} name
+ * @property {string[]|string} map Rows of the board (a multi-line string is split into rows).
+ * @property {Record<string, LegendEntry>} [legend] Extra tiles used by this map.
+ */
+
+/**
+ * Meaning of one map character.
+ * @typedef {Object} LegendEntry
+ * @property {'floor'|'wall'|'hole'|'start'|'goal'|'fragile'|'surface'|'checkpoint'|'gem'|'key'|'door'|
+ *   'ball'|'socket'|'gate'|'booster'|'conveyor'|'teleporter'|'switch'} type
+ * @property {keyof SURFACES} [surface] Surface name (`surface` tiles).
+ * @property {keyof DIRECTIONS} [direction] Direction (gates, boosters, conveyors).
+ * @property {number} [strength] Push strength (boosters, conveyors).
+ * @property {boolean} [open] Whether the door starts open (`door` tiles).
+ * @property {'hold'|'toggle'} [mode] Switch mode.
+ * @property {Array<[number, number]>} [doors] Door cells linked to a switch.
+ */
+
+/**
+ * Built-in map characters.
+ * @type {Readonly<Record<string, LegendEntry>>}
+ */
+export const DEFAULT_LEGEND = Object.freeze({
+    '.': { type: 'floor' },
+    ' ': { type: 'floor' },
+    '#': { type: 'wall' },
+    'O': { type: 'hole' },
+    'S': { type: 'start' },
+    'G': { type: 'goal' },
+    '%': { type: 'fragile' },
+    '~': { type: 'surface', surface: 'ice' },
+    ',': { type: 'surface', surface: 'mud' },
+    ':': { type: 'surface', surface: 'sand' },
+    'C': { type: 'checkpoint' },
+    '*': { type: 'gem' },
+    'k': { type: 'key' },
+    'D': { type: 'door', open: false },
+    'd': { type: 'door', open: true },
+    'B': { type: 'ball' },
+    'g': { type: 'socket' },
+    '>': { type: 'gate', direction: 'right' },
+    '<': { type: 'gate', direction: 'left' },
+    '^': { type: 'gate', direction: 'up' },
+    'v': { type: 'gate', direction: 'down' }
+});
+
+/** Characters the serializer hands out for legend entries, in order. */
+const LEGEND_CHARACTERS = 'abcefhijlmnopqrstuwxyzAEFHIJKLMNPQRTUVWXYZ0123456789';
+
+/** Raw level properties holding plain coordinate lists (appended when given next to a map). */
+const COORDINATE_LISTS = ['walls', 'holes', 'fragile', 'checkpoints', 'gems', 'keys', 'doors', 'openDoors', 'balls', 'goals'];
+
+/**
+ * Parse a text map into a raw level.
+ * @param {AsciiLevel} level
+ * @returns {import('./levels.js').RawLevel}
+ */
+export function parseLevel({ id, name, map, legend = {}, ...rest }) {
+    const rows = typeof map === 'string' ? dedent(map.split('\n')) : map;
+    const width = Math.max(...rows.map(row => row.length));
+    const height = rows.length;
+    const tiles = { ...DEFAULT_LEGEND, ...legend };
+    const lists = Object.fromEntries(COORDINATE_LISTS.map(key => [key, []]));
+    const surfaces = {};
+    const boosters = [];
+    const conveyors = [];
+    const gates = [];
+    const switches = [];
+    const portals = new Map();
+    let start = null;
+    let goal = null;
+
+    rows.forEach((row, y) => {
+        for (let x = 0; x < width; x++) {
+            const char = row[x] ?? '.';
+            const tile = tiles[char];
+            if (!tile) {
+                throw new Error(`Unknown map character "${char}" at [${x}, ${y}] in level ${id}.`);
+            }
+            const cell = [x, y];
+            switch (tile.type) {
+                case 'floor': break;
+                case 'wall': lists.walls.push(cell); break;
+                case 'hole': lists.holes.push(cell); break;
+                case 'fragile': lists.fragile.push(cell); break;
+                case 'checkpoint': lists.checkpoints.push(cell); break;
+                case 'gem': lists.gems.push(cell); break;
+                case 'key': lists.keys.push(cell); break;
+                case 'door': (tile.open ? lists.openDoors : lists.doors).push(cell); break;
+                case 'ball': lists.balls.push(cell); break;
+                case 'socket': lists.goals.push(cell); break;
+                case 'start':
+                    if (start) throw new Error(`Level ${id} has more than one start ("${char}" at [${x}, ${y}]).`);
+                    start = cell;
+                    break;
+                case 'goal':
+                    if (goal) throw new Error(`Level ${id} has more than one goal ("${char}" at [${x}, ${y}]).`);
+                    goal = cell;
+                    break;
+                case 'surface':
+                    (surfaces[tile.surface] ||= []).push(cell);
+                    break;
+                case 'gate':
+                    gates.push({ cell, direction: tile.direction });
+                    break;
+                case 'booster':
+                case 'conveyor': {
+                    const forceTile = { cell, direction: tile.direction };
+                    if (tile.strength !== undefined) forceTile.strength = tile.strength;
+                    (tile.type === 'booster' ? boosters : conveyors).push(forceTile);
+                    break;
+                }
+                case 'teleporter':
+                    if (!portals.has(char)) portals.set(char, []);
+                    portals.get(char).push(cell);
+                    break;
+                case 'switch':
+                    switches.push({ cell, mode: tile.mode || 'hold', doors: tile.doors || [] });
+                    break;
+                default:
+                    throw new Error(`Unknown tile type "${tile.type}" for "${char}" in level ${id}.`);
+            }
+        }
+    });
+
+    const teleporters = [...portals].map(([char, cells]) => {
+        if (cells.length !== 2) {
+            throw new Error(`Teleporter "${char}" in level ${id} appears ${cells.length} times; it needs exactly 2.`);
+        }
+        return cells;
+    });
+
+    /** @type {import('./levels.js').RawLevel} */
+    const raw = {
+        id,
+        name,
+        width,
+        height,
+        start: rest.start || start,
+        goal: rest.goal || goal,
+        walls: [],
+        holes: []
+    };
+    if (!raw.start || !raw.goal) {
+        throw new Error(`Level ${id} needs a start ("S") and a goal ("G").`);
+    }
+    const optional = { surfaces, boosters, conveyors, teleporters, gates, switches };
+    Object.entries(optional).forEach(([key, value]) => {
+        if (Object.keys(value).length > 0) raw[key] = value;
+    });
+    COORDINATE_LISTS.forEach(key => {
+        if (lists[key].length > 0 || key === 'walls' || key === 'holes') raw[key] = lists[key];
+    });
+    Object.entries(rest).forEach(([key, value]) => {
+        if (key === 'start' || key === 'goal') return;
+        raw[key] = Array.isArray(raw[key]) && Array.isArray(value) ? [...raw[key], ...value] : value;
+    });
+    return raw;
+}
+
+/**
+ * Serialize a raw level into a text map. Cells are written the way {@link hydrateLevel}
+ * resolves them (e.g. a hole on a wall becomes a hole). Things that share a cell with
+ * another tile (a gem on ice, the start on sand) stay as coordinate lists next to the map.
+ *
+ * @param {import('./levels.js').RawLevel} raw
+ * @returns {AsciiLevel & Record<string, unknown>}
+ */
+export function serializeLevel(raw) {
+    const hydrated = hydrateLevel(raw);
+    const legend = {};
+    const legendChars = [...LEGEND_CHARACTERS];
+    const addLegend = (entry) => {
+        const char = legendChars.shift();
+        if (!char) throw new Error(`Level ${raw.id} needs more legend entries than available characters.`);
+        legend[char] = entry;
+        return char;
+    };
+    const forceChars = new Map();
+    const teleporterChars = new Map();
+    const surfaceChars = Object.fromEntries(
+        Object.entries(DEFAULT_LEGEND)
+            .filter(([, tile]) => tile.type === 'surface')
+            .map(([char, tile]) => [SURFACES[tile.surface].cellType, char])
+    );
+    const gateChars = Object.fromEntries(
+        Object.entries(DEFAULT_LEGEND)
+            .filter(([, tile]) => tile.type === 'gate')
+            .map(([char, tile]) => [tile.direction, char])
+    );
+    const directionName = (dx, dy) => Object.keys(DIRECTIONS).find(name => DIRECTIONS[name][0] === dx && DIRECTIONS[name][1] === dy);
+    const [goalX, goalY] = raw.goal;
+
+    const rows = hydrated.grid.map((gridRow, y) => gridRow.map((cell, x) => {
+        const key = cellKey(x, y);
+        switch (cell) {
+            case CELL_TYPES.WALL: return '#';
+            case CELL_TYPES.HOLE: return 'O';
+            case CELL_TYPES.GOAL: return x === goalX && y === goalY ? 'G' : 'g';
+            case CELL_TYPES.FRAGILE: return '%';
+            case CELL_TYPES.CHECKPOINT: return 'C';
+            case CELL_TYPES.DOOR: return 'D';
+            case CELL_TYPES.DOOR_OPEN: return 'd';
+            case CELL_TYPES.GATE: {
+                const gate = hydrated.gates[key];
+                return gateChars[directionName(gate.dx, gate.dy)];
+            }
+            case CELL_TYPES.BOOSTER:
+            case CELL_TYPES.CONVEYOR: {
+                const tile = hydrated.forceTiles[key];
+                const entry = { type: tile.kind, direction: directionName(tile.dx, tile.dy), strength: tile.strength };
+                const id = JSON.stringify(entry);
+                if (!forceChars.has(id)) forceChars.set(id, addLegend(entry));
+                return forceChars.get(id);
+            }
+            case CELL_TYPES.TELEPORTER: {
+                const { pair } = hydrated.teleporters[key];
+                if (!teleporterChars.has(pair)) teleporterChars.set(pair, addLegend({ type: 'teleporter' }));
+                return teleporterChars.get(pair);
+            }
+            case CELL_TYPES.SWITCH: {
+                const sw = hydrated.switches[key];
+                return addLegend({ type: 'switch', mode: sw.mode, doors: sw.doors });
+            }
+            default:
+                return surfaceChars[cell] || '.';
+        }
+    }));
+
+    // Markers that sit on plain floor go into the map; the rest stays as coordinates.
+    const extra = {};
+    const place = (cells, char, key) => {
+        const leftover = cells.filter(([x, y]) => {
+            if (rows[y]?.[x] !== '.') return true;
+            rows[y][x] = char;
+            return false;
+        });
+        if (leftover.length > 0) extra[key] = leftover;
+    };
+    place([raw.start], 'S', 'start');
+    place(raw.balls || [], 'B', 'balls');
+    place(raw.gems || [], '*', 'gems');
+    place(raw.keys || [], 'k', 'keys');
+    if (extra.start) extra.start = extra.start[0];
+
+    const mapped = new Set([
+        'id', 'name', 'width', 'height', 'start', 'goal', 'walls', 'holes', 'fragile', 'checkpoints', 'gems', 'keys',
+        'doors', 'openDoors', 'balls', 'goals', 'surfaces', 'boosters', 'conveyors', 'teleporters', 'gates', 'switches'
+    ]);
+    const passthrough = Object.fromEntries(Object.entries(raw).filter(([key]) => !mapped.has(key)));
+    const level = { id: raw.id, name: raw.name, map: rows.map(row => row.join('')) };
+    if (Object.keys(legend).length > 0) level.legend = legend;
+    return { ...level, ...extra, ...passthrough };
+}
+
+/**
+ * Drop leading/trailing empty lines of a multi-line map string and the indentation
+ * shared by all rows (so maps can be indented inside template literals).
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function dedent(lines) {
+    let first = 0;
+    let last = lines.length;
+    while (first < last && lines[first].trim() === '') first++;
+    while (last > first && lines[last - 1].trim() === '') last--;
+    const rows = lines.slice(first, last);
+    const indent = Math.min(...rows.filter(row => row.trim() !== '').map(row => row.length - row.trimStart().length));
+    return rows.map(row => row.slice(indent).trimEnd());
+}
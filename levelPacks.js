@@ -0,0 +1,285 @@
+/**
+ * @file levelPacks.js
+ * @description Level packs: named, ordered collections of levels with unlock rules.
+ *
+ * A pack is described by a manifest ({@link LevelPackManifest}). Bundled packs are ES
+ * modules in `packs/` that export their manifest as default; further packs can be
+ * uploaded as `.json` files holding the same manifest. Uploaded manifests are checked
+ * field by field, and every level gets the same shape checks as an uploaded level file
+ * (see {@link checkImportedLevel}) before it runs through {@link validateLevel}.
+ *
+ * Levels are numbered per pack (1-indexed, in play order), and progress is kept per
+ * pack id, so packs never share completion markers or best times.
+ */
+
+import { getCustomLevelData, getLevelData, TOTAL_LEVELS } from './levels.js';
+import { checkImportedLevel } from './levelShare.js';
+import corePack from './packs/core.js';
+import workshopPack from './packs/workshop.js';
+
+/**
+ * Unlock rules of a pack.
+ * - `levels`: `'sequential'` unlocks each level once the one before is completed,
+ *   `'open'` makes every level playable right away.
+ * - `requires`: the whole pack stays locked until `completed` levels (default: all
+ *   levels) of another pack are done. Ignored while that pack is not installed.
+ * @typedef {Object} UnlockRules
+ * @property {'sequential'|'open'} [levels='sequential']
+ * @property {{pack: string, completed?: number}} [requires]
+ */
+
+/**
+ * Pack manifest as written in a bundled module or an uploaded file.
+ * @typedef {Object} LevelPackManifest
+ * @property {string} id Unique pack id (letters, digits, `-` and `_`); progress is stored under it.
+ * @property {string} title
+ * @property {string} [author]
+ * @property {import('./levels.js').RawLevel[]} levels Level definitions.
+ * @property {number[]} [order] Level ids in play order; defaults to the order of `levels`.
+ * @property {UnlockRules} [unlock]
+ * @property {boolean} [endless=false] Continue with generated mazes after the last level.
+ */
+
+/**
+ * Pack ready for play: levels in play order and unlock rules with defaults applied.
+ * @typedef {Object} LevelPack
+ * @property {string} id
+ * @property {string} title
+ * @property {string} author
+ * @property {import('./levels.js').RawLevel[]} levels
+ * @property {{levels: 'sequential'|'open', requires: {pack: string, completed: number|null}|null}} unlock
+ * @property {boolean} endless
+ * @property {boolean} bundled Whether the pack ships with the game (bundled packs cannot be replaced).
+ */
+
+/**
+ * Progress in one pack; level numbers are positions in the pack.
+ * @typedef {Object} PackProgress
+ * @property {Set<number>} completed
+ * @property {Record<number, number>} bestTimes Map: levelNumber -> best time (seconds)
+ * @property {Record<number, number>} bestGems Map: levelNumber -> most gems collected
+ * @property {Record<number, number>} bestStars Map: levelNumber -> best star rating (1-3)
+ */
+
+/** Id of the pack the game starts with. */
+export const CORE_PACK_ID = 'core';
+
+/** Manifests of the packs shipped with the game, in display order. */
+const BUNDLED_MANIFESTS = [corePack, workshopPack];
+
+const PACK_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * The packs shipped with the game. Their levels are validated when they are loaded,
+ * like every other bundled level.
+ * @returns {LevelPack[]}
+ */
+export function getBundledPacks() {
+    return BUNDLED_MANIFESTS.map(manifest => normalizePack(manifest, true));
+}
+
+/**
+ * Check an uploaded manifest and turn it into a pack. Every level is shape-checked like
+ * an uploaded level file (including the board size limit) and validated.
+ * @param {*} manifest
+ * @returns {LevelPack}
+ * @throws {Error} Listing what is wrong with the manifest or its levels.
+ */
+export function loadPack(manifest) {
+    checkManifest(manifest);
+    const pack = normalizePack(manifest, false);
+    pack.levels = pack.levels.map((level, index) => {
+        try {
+            return checkImportedLevel(level);
+        } catch (error) {
+            throw new Error(`Level ${index + 1} of pack "${pack.title}": ${error.message}`);
+        }
+    });
+    return pack;
+}
+
+/**
+ * Parse and check the contents of an uploaded pack file.
+ * @param {string} text
+ * @returns {{manifest: Object, pack: LevelPack}} The parsed manifest (to store for later
+ *   visits) and the pack loaded from it.
+ */
+export function parsePackJson(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    return { manifest, pack: loadPack(manifest) };
+}
+
+/**
+ * Empty progress for a pack.
+ * @returns {PackProgress}
+ */
+export function createPackProgress() {
+    return { completed: new Set(), bestTimes: {}, bestGems: {}, bestStars: {} };
+}
+
+/**
+ * Whether a pack's `requires` rule is met.
+ * @param {LevelPack} pack
+ * @param {Record<string, PackProgress>} progress Progress by pack id.
+ * @param {LevelPack[]} packs All installed packs.
+ * @returns {boolean}
+ */
+export function isPackUnlocked(pack, progress, packs) {
+    const rule = pack.unlock.requires;
+    const required = rule && packs.find(other => other.id === rule.pack);
+    if (!required) return true;
+    const needed = rule.completed ?? required.levels.length;
+    const completed = progress[required.id]?.completed ?? new Set();
+    const done = required.levels.filter((_, index) => completed.has(index + 1)).length;
+    return done >= needed;
+}
+
+/**
+ * Whether a level of a pack can be played.
+ * @param {LevelPack} pack
+ * @param {number} levelNumber 1-indexed position in the pack.
+ * @param {Record<string, PackProgress>} progress Progress by pack id.
+ * @param {LevelPack[]} packs All installed packs.
+ * @returns {boolean}
+ */
+export function isLevelUnlocked(pack, levelNumber, progress, packs) {
+    if (!isPackUnlocked(pack, progress, packs)) return false;
+    if (pack.unlock.levels === 'open' || levelNumber === 1) return true;
+    return Boolean(progress[pack.id]?.completed.has(levelNumber - 1));
+}
+
+/**
+ * Human-readable unlock condition of a locked pack.
+ * @param {LevelPack} pack
+ * @param {LevelPack[]} packs
+ * @returns {string}
+ */
+export function describePackRequirement(pack, packs) {
+    const rule = pack.unlock.requires;
+    const required = rule && packs.find(other => other.id === rule.pack);
+    if (!required) return '';
+    const needed = rule.completed ?? required.levels.length;
+    return needed >= required.levels.length
+        ? `Complete "${required.title}" to unlock`
+        : `Complete ${needed} levels of "${required.title}" to unlock`;
+}
+
+/**
+ * Level data of a level in a pack; past the last level of an endless pack this
+ * continues with generated mazes.
+ * @param {LevelPack} pack
+ * @param {number} levelNumber 1-indexed position in the pack.
+ * @returns {import('./levels.js').LevelData}
+ */
+export function getPackLevelData(pack, levelNumber) {
+    if (levelNumber <= pack.levels.length) {
+        return getCustomLevelData(pack.levels[levelNumber - 1]);
+    }
+    if (pack.endless) {
+        return getLevelData(TOTAL_LEVELS + levelNumber - pack.levels.length);
+    }
+    throw new Error(`Pack "${pack.title}" has no level ${levelNumber}.`);
+}
+
+/**
+ * Whether there is a level after `levelNumber` in the pack.
+ * @param {LevelPack} pack
+ * @param {number} levelNumber
+ * @returns {boolean}
+ */
+export function hasNextLevel(pack, levelNumber) {
+    return pack.endless || levelNumber < pack.levels.length;
+}
+
+/**
+ * Number of gems in a level of a pack (0 for generated levels).
+ * @param {LevelPack} pack
+ * @param {number} levelNumber
+ * @returns {number}
+ */
+export function getPackGemCount(pack, levelNumber) {
+    return (pack.levels[levelNumber - 1]?.gems || []).length;
+}
+
+/**
+ * Whether a level of a pack has par times and awards stars (generated levels do not).
+ * @param {LevelPack} pack
+ * @param {number} levelNumber
+ * @returns {boolean}
+ */
+export function isPackLevelRated(pack, levelNumber) {
+    return Boolean(pack.levels[levelNumber - 1]?.par);
+}
+
+/**
+ * @param {LevelPackManifest} manifest
+ * @param {boolean} bundled
+ * @returns {LevelPack}
+ */
+function normalizePack(manifest, bundled) {
+    const { id, title, author = '', levels, order, unlock = {}, endless = false } = manifest;
+    const ordered = order ? order.map(levelId => levels.find(level => level.id === levelId)) : [...levels];
+    const requires = unlock.requires ? { pack: unlock.requires.pack, completed: unlock.requires.completed ?? null } : null;
+    return {
+        id,
+        title,
+        author,
+        levels: ordered,
+        unlock: { levels: unlock.levels ?? 'sequential', requires },
+        endless: Boolean(endless),
+        bundled
+    };
+}
+
+/**
+ * Field checks for uploaded manifests; collects every problem before throwing.
+ * @param {*} manifest
+ */
+function checkManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        throw new Error('The file does not contain a level pack manifest.');
+    }
+    const problems = [];
+    const { id, title, author, levels, order, unlock, endless } = manifest;
+    if (typeof id !== 'string' || !PACK_ID_PATTERN.test(id)) {
+        problems.push('"id" must be a non-empty string of letters, digits, "-" or "_"');
+    }
+    if (typeof title !== 'string' || title.trim() === '') problems.push('"title" must be a non-empty string');
+    if (author !== undefined && typeof author !== 'string') problems.push('"author" must be a string');
+    if (endless !== undefined && typeof endless !== 'boolean') problems.push('"endless" must be true or false');
+    if (!Array.isArray(levels) || levels.length === 0 || !levels.every(level => level && typeof level === 'object')) {
+        problems.push('"levels" must be a non-empty list of levels');
+    } else if (order !== undefined) {
+        const ids = new Set(levels.map(level => level.id));
+        if (!Array.isArray(order) || order.length === 0) {
+            problems.push('"order" must be a non-empty list of level ids');
+        } else if (order.some(levelId => !ids.has(levelId))) {
+            problems.push('"order" names level ids that are not in "levels"');
+        } else if (new Set(order).size !== order.length) {
+            problems.push('"order" lists a level twice');
+        }
+    }
+    if (unlock !== undefined) {
+        if (!unlock || typeof unlock !== 'object') {
+            problems.push('"unlock" must be an object');
+        } else {
+            if (unlock.levels !== undefined && !['sequential', 'open'].includes(unlock.levels)) {
+                problems.push('"unlock.levels" must be "sequential" or "open"');
+            }
+            const requires = unlock.requires;
+            if (requires !== undefined && (typeof requires?.pack !== 'string' ||
+                (requires.completed !== undefined && (!Number.isInteger(requires.completed) || requires.completed < 1)))) {
+                problems.push('"unlock.requires" must be { pack: "<pack id>", completed?: <number of levels> }');
+            }
+            if (requires?.pack === id) problems.push('a pack cannot require itself');
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Not a valid level pack: ${problems.join('; ')}.`);
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * @file levelShare.js
+ * @description Sharing custom levels as links and `.json` files.
+ *
+ * A level is packed into a URL hash (`#level=...`) so it can be passed around in chat:
+ * walls and holes become a run-length encoded board string (`.` floor, `#` wall,
+ * `O` hole; a run of 12 walls is written `12#`), every other `RawLevel` property is
+ * kept as JSON, and the result is base64url-encoded.
+ *
+ * Both import paths (links and uploaded files) check the level shape, including every
+ * optional `RawLevel` property (unknown properties are refused), and run
+ * {@link validateLevel}, so a broken level is rejected with a readable message
+ * instead of failing inside the game. Uploaded level packs run the same checks on each
+ * of their levels.
+ */
+
+import { DEFAULT_PHYSICS_PROFILE, MAX_LEVEL_SIZE } from './constants.js';
+import { checkLevel, DIRECTIONS, SURFACES } from './levels.js';
+
+/** Hash prefix of level links. */
+export const SHARE_HASH_PREFIX = '#level=';
+
+/** Format version written into every link, so the encoding can change later. */
+const SHARE_VERSION = 1;
+
+/** Board characters of the run-length encoded grid. */
+const FLOOR_CHAR = '.';
+const WALL_CHAR = '#';
+const HOLE_CHAR = 'O';
+
+/** Properties every level has; checked one by one in {@link checkImportedLevel}. */
+const BASE_PROPERTIES = ['id', 'name', 'width', 'height', 'start', 'goal', 'walls', 'holes'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositive = (value) => isNumber(value) && value > 0;
+const isOptional = (check) => (value) => value === undefined || check(value);
+const isListOf = (check) => (value) => Array.isArray(value) && value.every(check);
+const isOneOf = (...options) => (value) => options.includes(value);
+const isCell = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+const isPoint = (value) => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+const isCellList = isListOf(isCell);
+const isDirection = (value) => Object.hasOwn(DIRECTIONS, value);
+
+/**
+ * Whether `value` is an object with exactly the listed properties (optional ones may be missing).
+ * @param {*} value
+ * @param {Record<string, (value: *) => boolean>} properties
+ */
+function hasShape(value, properties) {
+    return isObject(value) &&
+        Object.keys(value).every(key => Object.hasOwn(properties, key)) &&
+        Object.entries(properties).every(([key, check]) => check(value[key]));
+}
+
+/** Shape checks of the raw geometry types (see `RawShape` in levels.js). */
+const SHAPE_CHECKS = {
+    segment: { from: isPoint, to: isPoint },
+    polygon: { points: (points) => isListOf(isPoint)(points) && points.length >= 3 },
+    bumper: { center: isPoint, radius: isPositive },
+    arc: { center: isPoint, radius: isPositive, start: isNumber, end: isNumber }
+};
+
+/** Shape checks of the raw force field types (see `RawForceField` in levels.js). */
+const FIELD_CHECKS = {
+    attractor: { center: isPoint, radius: isPositive },
+    repulsor: { center: isPoint, radius: isPositive },
+    wind: { area: (area) => Array.isArray(area) && area.length === 4 && area.every(isNumber), direction: (direction) => isDirection(direction) || isPoint(direction) }
+};
+
+/**
+ * Whether `item` is a geometry shape or force field of a known `type` with that type's
+ * properties plus the shared optional ones.
+ * @param {*} item
+ * @param {Record<string, Record<string, (value: *) => boolean>>} checksByType
+ * @param {Record<string, (value: *) => boolean>} shared
+ */
+function isTypedItem(item, checksByType, shared) {
+    return isObject(item) && Object.hasOwn(checksByType, item.type) &&
+        hasShape(item, { type: () => true, ...shared, ...checksByType[item.type] });
+}
+
+const isShape = (shape) => isTypedItem(shape, SHAPE_CHECKS, { thickness: isOptional(isPositive), restitution: isOptional(isNumber) }) &&
+    // A full circle at most, which also bounds the number of rail pieces.
+    (shape.type !== 'arc' || Math.abs(shape.end - shape.start) <= 360);
+
+const isForceTile = (tile) => hasShape(tile, { cell: isCell, direction: isDirection, strength: isOptional(isNumber) });
+
+/**
+ * Shape checks of the optional `RawLevel` properties, with the message shown when one fails.
+ * @type {Record<string, {check: (value: *) => boolean, expected: string}>}
+ */
+const EXTRA_PROPERTIES = {
+    fragile: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    surfaces: {
+        check: (surfaces) => isObject(surfaces) && Object.entries(surfaces).every(([name, cells]) => Object.hasOwn(SURFACES, name) && isCellList(cells)),
+        expected: `cell lists of the surfaces ${Object.keys(SURFACES).join(', ')}`
+    },
+    boosters: { check: isListOf(isForceTile), expected: 'a list of { cell, direction, strength? } tiles' },
+    conveyors: { check: isListOf(isForceTile), expected: 'a list of { cell, direction, strength? } tiles' },
+    teleporters: {
+        check: isListOf(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isCell)),
+        expected: 'a list of [[column, row], [column, row]] pairs'
+    },
+    movers: {
+        check: isListOf(mover => hasShape(mover, {
+            type: isOneOf('wall', 'hole'),
+            path: (path) => isListOf(isPoint)(path) && path.length > 0,
+            duration: isPositive,
+            mode: isOptional(isOneOf('pingpong', 'loop')),
+            size: isOptional(size => isPoint(size) && size.every(side => side > 0))
+        })),
+        expected: 'a list of { type, path, duration, mode?, size? } movers'
+    },
+    switches: {
+        check: isListOf(sw => hasShape(sw, { cell: isCell, mode: isOptional(isOneOf('hold', 'toggle')), doors: isCellList })),
+        expected: 'a list of { cell, mode?, doors } switches'
+    },
+    gates: { check: isListOf(gate => hasShape(gate, { cell: isCell, direction: isDirection })), expected: 'a list of { cell, direction } gates' },
+    doors: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    openDoors: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    gems: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    keys: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    balls: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    goals: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    checkpoints: { check: isCellList, expected: 'a list of [column, row] pairs' },
+    geometry: {
+        check: isListOf(isShape),
+        expected: `a list of ${Object.keys(SHAPE_CHECKS).join(', ')} shapes`
+    },
+    fields: {
+        check: isListOf(field => isTypedItem(field, FIELD_CHECKS, { strength: isOptional(isNumber) })),
+        expected: `a list of ${Object.keys(FIELD_CHECKS).join(', ')} fields`
+    },
+    physics: {
+        check: (physics) => isObject(physics) && Object.entries(physics).every(([key, value]) =>
+            Object.hasOwn(DEFAULT_PHYSICS_PROFILE, key) && isNumber(value) && value >= 0 && (key !== 'restitution' || value <= 1)),
+        expected: `non-negative numbers for ${Object.keys(DEFAULT_PHYSICS_PROFILE).join(', ')} (restitution at most 1)`
+    },
+    par: {
+        check: (par) => hasShape(par, { gold: isNumber, silver: isNumber, bronze: isNumber, maxLivesLost: isOptional(isNumber) }),
+        expected: '{ gold, silver, bronze, maxLivesLost? }'
+    }
+};
+
+/**
+ * Pack a raw level into the compact hash payload (without the `#level=` prefix).
+ * @param {import('./levels.js').RawLevel} level
+ * @returns {string}
+ */
+export function encodeLevel(level) {
+    // The id only matters inside LEVELS; a shared level gets a new one on import.
+    const { id, name, width, height, start, goal, walls = [], holes = [], ...rest } = level;
+    const board = Array(width * height).fill(FLOOR_CHAR);
+    const place = (cells, char) => cells.forEach(([x, y]) => {
+        if (x < 0 || y < 0 || x >= width || y >= height) {
+            throw new Error(`Cell [${x}, ${y}] lies outside the ${width}x${height} board.`);
+        }
+        board[y * width + x] = char;
+    });
+    place(walls, WALL_CHAR);
+    place(holes, HOLE_CHAR);
+
+    const payload = { v: SHARE_VERSION, n: name, w: width, h: height, s: start, g: goal, m: runLengthEncode(board) };
+    if (Object.keys(rest).length > 0) {
+        payload.x = rest;
+    }
+    return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Unpack and validate a level from a hash payload created by {@link encodeLevel}.
+ * @param {string} code Payload without the `#level=` prefix.
+ * @returns {import('./levels.js').RawLevel}
+ * @throws {Error} If the payload is corrupt or the level is invalid.
+ */
+export function decodeLevel(code) {
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(code));
+    } catch {
+        throw new Error('The level link is damaged (it may have been cut off when copying).');
+    }
+    if (payload?.v !== SHARE_VERSION) {
+        throw new Error(`Unsupported level link version: ${payload?.v}.`);
+    }
+    const { n: name, w: width, h: height, s: start, g: goal, m: board, x: rest = {} } = payload;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || typeof board !== 'string') {
+        throw new Error('The level link is missing its board.');
+    }
+    if (width > MAX_LEVEL_SIZE || height > MAX_LEVEL_SIZE) {
+        throw new Error(`The level in the link is too large (${width}x${height}).`);
+    }
+    const cells = runLengthDecode(board, width * height);
+    if (cells.length < width * height) {
+        throw new Error(`The level link board has only ${cells.length} of ${width * height} cells.`);
+    }
+    const walls = [];
+    const holes = [];
+    cells.forEach((char, index) => {
+        const cell = [index % width, Math.floor(index / width)];
+        if (char === WALL_CHAR) walls.push(cell);
+        if (char === HOLE_CHAR) holes.push(cell);
+    });
+    return checkImportedLevel({ id: 0, name, width, height, start, goal, walls, holes, ...rest });
+}
+
+/**
+ * Full link to a level, based on the current page address.
+ * @param {import('./levels.js').RawLevel} level
+ * @param {string} baseUrl Page URL; any existing hash is replaced.
+ * @returns {string}
+ */
+export function getShareUrl(level, baseUrl) {
+    return `${baseUrl.split('#')[0]}${SHARE_HASH_PREFIX}${encodeLevel(level)}`;
+}
+
+/**
+ * Level encoded in a location hash, if the hash is a level link.
+ * @param {string} hash e.g. `location.hash`
+ * @returns {import('./levels.js').RawLevel|null} `null` when the hash is no level link.
+ * @throws {Error} If it is a level link but the level cannot be loaded.
+ */
+export function readLevelFromHash(hash) {
+    if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
+    return decodeLevel(hash.slice(SHARE_HASH_PREFIX.length));
+}
+
+/**
+ * Level as the contents of a downloadable `.json` file.
+ * @param {import('./levels.js').RawLevel} level
+ * @returns {string}
+ */
+export function levelToJson(level) {
+    return `${JSON.stringify(level, null, 2)}\n`;
+}
+
+/**
+ * Parse and validate the contents of an uploaded level file.
+ * @param {string} text
+ * @returns {import('./levels.js').RawLevel}
+ * @throws {Error} If the file is not JSON or does not hold a valid level.
+ */
+export function parseLevelJson(text) {
+    let level;
+    try {
+        level = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    return checkImportedLevel(level);
+}
+
+/**
+ * Shape check plus {@link validateLevel} for levels from outside the game (level links,
+ * level files and the levels of uploaded packs).
+ * @param {*} level
+ * @returns {import('./levels.js').RawLevel} A copy with `id`, `walls` and `holes` filled in.
+ * @throws {Error} Listing every shape problem, or the validation errors.
+ */
+export function checkImportedLevel(level) {
+    const problems = [];
+    if (!isObject(level)) {
+        throw new Error('The file does not contain a level object.');
+    }
+    if (typeof level.name !== 'string') problems.push('"name" must be a string');
+    ['width', 'height'].forEach(key => {
+        if (!Number.isInteger(level[key]) || level[key] < 3 || level[key] > MAX_LEVEL_SIZE) {
+            problems.push(`"${key}" must be a whole number from 3 to ${MAX_LEVEL_SIZE}`);
+        }
+    });
+    ['start', 'goal'].forEach(key => {
+        if (!isCell(level[key])) problems.push(`"${key}" must be a [column, row] pair`);
+    });
+    ['walls', 'holes'].forEach(key => {
+        if (!isOptional(isCellList)(level[key])) problems.push(`"${key}" must be a list of [column, row] pairs`);
+    });
+    Object.keys(level).filter(key => !BASE_PROPERTIES.includes(key)).forEach(key => {
+        if (!Object.hasOwn(EXTRA_PROPERTIES, key)) {
+            problems.push(`unknown property "${key}"`);
+        } else if (!EXTRA_PROPERTIES[key].check(level[key])) {
+            problems.push(`"${key}" must be ${EXTRA_PROPERTIES[key].expected}`);
+        }
+    });
+    if (problems.length > 0) {
+        throw new Error(`Not a Tilt Maze level: ${problems.join(', ')}.`);
+    }
+    const imported = { ...level, id: Number.isInteger(level.id) ? level.id : 0, walls: level.walls ?? [], holes: level.holes ?? [] };
+    checkLevel(imported);
+    return imported;
+}
+
+/**
+ * @param {string[]} cells
+ * @returns {string} e.g. `['#', '#', '#', '.', 'O']` -> `3#.O`
+ */
+function runLengthEncode(cells) {
+    let encoded = '';
+    for (let i = 0; i < cells.length;) {
+        let run = 1;
+        while (cells[i + run] === cells[i]) run++;
+        encoded += run > 1 ? `${run}${cells[i]}` : cells[i];
+        i += run;
+    }
+    return encoded;
+}
+
+/**
+ * @param {string} encoded
+ * @param {number} size Expected number of cells; longer boards are rejected early.
+ * @returns {string[]}
+ */
+function runLengthDecode(encoded, size) {
+    const cells = [];
+    const pattern = /(\d*)([^\d])/g;
+    let consumed = 0;
+    for (const [token, count, char] of encoded.matchAll(pattern)) {
+        if (![FLOOR_CHAR, WALL_CHAR, HOLE_CHAR].includes(char)) {
+            throw new Error(`Unknown board character "${char}" in the level link.`);
+        }
+        consumed += token.length;
+        const run = count ? Number(count) : 1;
+        if (cells.length + run > size) {
+            throw new Error(`The level link board has more than ${size} cells.`);
+        }
+        cells.push(...Array(run).fill(char));
+    }
+    if (consumed !== encoded.length) {
+        throw new Error('The level link board is damaged.');
+    }
+    return cells;
+}
+
+/** UTF-8 safe base64url (no padding), so names with umlauts or emoji survive. */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
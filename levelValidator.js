@@ -0,0 +1,353 @@
+/**
+ * @file levelValidator.js
+ * @description Sanity and solvability checks for raw level definitions.
+ *
+ * {@link validateLevel} reports problems as structured errors instead of letting
+ * `hydrateLevel` silently overwrite cells:
+ * - coordinates outside the board
+ * - a start (or extra ball) on a wall, hole, fragile wall or door
+ * - a goal socket covered by a wall or hole
+ * - a start, goal, teleporter or checkpoint inside a polygon
+ * - gaps in the outer border wall
+ * - a goal (or key) the ball cannot reach
+ *
+ * Reachability is checked on a fine sampling of the board: a sample is free when a
+ * ball centered there overlaps no solid cell or free-form wall, is not inside a polygon
+ * and does not cross a hole rim. This accounts for the ball radius versus corridor width (e.g. a heavy ball
+ * does not fit through a gap a normal one does). Teleporters link their cells,
+ * one-way gates are only crossed in their direction, and doors count as open when a
+ * switch controls them. Moving obstacles and force fields are ignored.
+ */
+
+import { CELL_TYPES } from './constants.js';
+import { cellKey, hydrateLevel } from './levels.js';
+
+/**
+ * @typedef {'INVALID_DEFINITION'|'OUT_OF_BOUNDS'|'START_BLOCKED'|'GOAL_BLOCKED'|'INSIDE_GEOMETRY'|
+ *   'BORDER_GAP'|'GOAL_UNREACHABLE'|'KEY_UNREACHABLE'} ValidationCode
+ */
+
+/**
+ * One problem found in a level.
+ * @typedef {Object} ValidationError
+ * @property {ValidationCode} code
+ * @property {string} message Human-readable description.
+ * @property {Array<[number, number]>} [cells] Affected grid cells.
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid
+ * @property {ValidationError[]} errors
+ */
+
+/** Reachability samples per cell and axis; odd, so the cell center is always sampled. */
+const SAMPLES_PER_CELL = 5;
+
+/** Neighbor offsets for the reachability search (8-connected). */
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Check a raw level for definition errors and whether it can be solved.
+ * @param {import('./levels.js').RawLevel} raw
+ * @returns {ValidationResult}
+ */
+export function validateLevel(raw) {
+    const errors = [];
+    let level;
+    try {
+        level = hydrateLevel(raw);
+    } catch (error) {
+        errors.push({ code: 'INVALID_DEFINITION', message: error.message });
+        return { valid: false, errors };
+    }
+
+    checkBounds(raw, errors);
+    checkStarts(raw, errors);
+    checkGoals(raw, errors);
+    checkGeometry(raw, level, errors);
+    checkBorder(level, errors);
+    if (!errors.some(error => ['OUT_OF_BOUNDS', 'START_BLOCKED', 'INSIDE_GEOMETRY'].includes(error.code))) {
+        checkReachability(level, errors);
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as one readable message.
+ * @param {import('./levels.js').RawLevel} raw
+ * @param {ValidationError[]} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(raw, errors) {
+    const lines = errors.map(error => `  - [${error.code}] ${error.message}`);
+    return `Level ${raw.id} "${raw.name}" is invalid:\n${lines.join('\n')}`;
+}
+
+/**
+ * Every coordinate the raw level places on the grid, with the property it comes from.
+ * @param {import('./levels.js').RawLevel} raw
+ * @returns {Array<{source: string, cell: [number, number]}>}
+ */
+function listPlacedCells(raw) {
+    const placed = [];
+    const add = (source, cells) => cells.forEach(cell => placed.push({ source, cell }));
+    add('start', [raw.start]);
+    add('goal', [raw.goal]);
+    ['walls', 'holes', 'fragile', 'checkpoints', 'gems', 'keys', 'doors', 'openDoors', 'balls', 'goals'].forEach(key => {
+        add(key, raw[key] || []);
+    });
+    Object.entries(raw.surfaces || {}).forEach(([name, cells]) => add(`surfaces.${name}`, cells));
+    ['boosters', 'conveyors', 'switches', 'gates'].forEach(key => add(key, (raw[key] || []).map(tile => tile.cell)));
+    add('teleporters', (raw.teleporters || []).flat());
+    return placed;
+}
+
+function checkBounds(raw, errors) {
+    const outside = listPlacedCells(raw).filter(({ cell: [x, y] }) => x < 0 || y < 0 || x >= raw.width || y >= raw.height);
+    if (outside.length > 0) {
+        errors.push({
+            code: 'OUT_OF_BOUNDS',
+            message: `Cells outside the ${raw.width}x${raw.height} board: ${outside.map(({ source, cell }) => `${source} [${cell}]`).join(', ')}.`,
+            cells: outside.map(({ cell }) => cell)
+        });
+    }
+}
+
+function checkStarts(raw, errors) {
+    const blockers = ['walls', 'holes', 'fragile', 'doors', 'openDoors'];
+    [raw.start, ...(raw.balls || [])].forEach(start => {
+        const hits = blockers.filter(key => (raw[key] || []).some(cell => sameCell(cell, start)));
+        if (hits.length > 0) {
+            errors.push({
+                code: 'START_BLOCKED',
+                message: `Start [${start}] is placed on ${hits.join(' and ')}.`,
+                cells: [start]
+            });
+        }
+    });
+}
+
+function checkGoals(raw, errors) {
+    const blockers = ['walls', 'holes', 'fragile'];
+    [raw.goal, ...(raw.goals || [])].forEach(goal => {
+        const hits = blockers.filter(key => (raw[key] || []).some(cell => sameCell(cell, goal)));
+        if (hits.length > 0) {
+            errors.push({
+                code: 'GOAL_BLOCKED',
+                message: `Goal [${goal}] is covered by ${hits.join(' and ')} (the goal would silently replace them).`,
+                cells: [goal]
+            });
+        }
+    });
+}
+
+/**
+ * Polygons only collide along their edges, so a ball, goal or teleporter placed inside
+ * one could never be reached (or left).
+ */
+function checkGeometry(raw, level, errors) {
+    const polygons = getPolygons(level);
+    if (polygons.length === 0) return;
+    const placed = [
+        ...[raw.start, ...(raw.balls || [])].map(cell => ({ source: 'start', cell })),
+        ...[raw.goal, ...(raw.goals || [])].map(cell => ({ source: 'goal', cell })),
+        ...(raw.teleporters || []).flat().map(cell => ({ source: 'teleporter', cell })),
+        ...(raw.checkpoints || []).map(cell => ({ source: 'checkpoint', cell }))
+    ];
+    const inside = placed.filter(({ cell: [x, y] }) => polygons.some(points => isInsidePolygon(x + 0.5, y + 0.5, points)));
+    if (inside.length > 0) {
+        errors.push({
+            code: 'INSIDE_GEOMETRY',
+            message: `Placed inside a polygon: ${inside.map(({ source, cell }) => `${source} [${cell}]`).join(', ')}.`,
+            cells: inside.map(({ cell }) => cell)
+        });
+    }
+}
+
+function checkBorder(level, errors) {
+    const gaps = [];
+    const { width, height, grid } = level;
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            const onBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+            if (onBorder && grid[y][x] !== CELL_TYPES.WALL) {
+                gaps.push([x, y]);
+            }
+        }
+    }
+    if (gaps.length > 0) {
+        errors.push({
+            code: 'BORDER_GAP',
+            message: `The outer border has ${gaps.length} gap(s): ${gaps.map(cell => `[${cell}]`).join(', ')}.`,
+            cells: gaps
+        });
+    }
+}
+
+/**
+ * Flood-fills the free ball positions from every start and reports unreachable goals and keys.
+ * @param {import('./levels.js').LevelData} level
+ * @param {ValidationError[]} errors
+ */
+function checkReachability(level, errors) {
+    const free = buildFreeSpace(level);
+    const reached = new Uint8Array(free.length);
+    const columns = level.width * SAMPLES_PER_CELL;
+    const toIndex = (sx, sy) => sy * columns + sx;
+    const sampleOf = (x, y) => [Math.floor(x * SAMPLES_PER_CELL), Math.floor(y * SAMPLES_PER_CELL)];
+
+    level.starts.forEach(start => {
+        const [sx, sy] = sampleOf(start.x, start.y);
+        flood(level, free, reached, toIndex(sx, sy));
+    });
+
+    const reachedNear = (x, y, radius) => {
+        const [cx, cy] = sampleOf(x, y);
+        const span = Math.ceil(radius * SAMPLES_PER_CELL);
+        for (let sy = cy - span; sy <= cy + span; sy++) {
+            for (let sx = cx - span; sx <= cx + span; sx++) {
+                if (sx < 0 || sy < 0 || sx >= columns || sy >= level.height * SAMPLES_PER_CELL) continue;
+                const px = (sx + 0.5) / SAMPLES_PER_CELL;
+                const py = (sy + 0.5) / SAMPLES_PER_CELL;
+                if (reached[toIndex(sx, sy)] && Math.hypot(px - x, py - y) < radius) return true;
+            }
+        }
+        return false;
+    };
+
+    // Same thresholds as the physics step: the goal counts within 0.45 of its center,
+    // items are picked up within ball radius + 0.2.
+    const unreachableGoals = level.goals.filter(goal => !reachedNear(goal.x, goal.y, 0.45));
+    if (unreachableGoals.length > level.goals.length - level.starts.length) {
+        errors.push({
+            code: 'GOAL_UNREACHABLE',
+            message: `No path from the start to the goal for a ball of radius ${level.physics.ballRadius}: ` +
+                `${unreachableGoals.map(goal => `[${goal.x - 0.5},${goal.y - 0.5}]`).join(', ')}.`,
+            cells: unreachableGoals.map(goal => [goal.x - 0.5, goal.y - 0.5])
+        });
+    }
+    const keys = level.items.filter(item => item.type === 'key');
+    const unreachableKeys = keys.filter(key => !reachedNear(key.col + 0.5, key.row + 0.5, level.physics.ballRadius + 0.2));
+    if (unreachableKeys.length > 0) {
+        errors.push({
+            code: 'KEY_UNREACHABLE',
+            message: `Keys the ball cannot reach keep the goal locked: ${unreachableKeys.map(key => `[${key.col},${key.row}]`).join(', ')}.`,
+            cells: unreachableKeys.map(key => [key.col, key.row])
+        });
+    }
+}
+
+/**
+ * Marks every sample where the ball's center can rest without touching a wall or falling.
+ * @param {import('./levels.js').LevelData} level
+ * @returns {Uint8Array} 1 = free, indexed row by row.
+ */
+function buildFreeSpace(level) {
+    const { width, height, grid, physics, geometry } = level;
+    const r = physics.ballRadius;
+    const columns = width * SAMPLES_PER_CELL;
+    const rows = height * SAMPLES_PER_CELL;
+    const linkedDoors = new Set(Object.values(level.switches).flatMap(sw => sw.doors.map(([x, y]) => cellKey(x, y))));
+    // Fragile walls can be shattered, so only plain walls and unswitchable doors block.
+    const isBlocking = (col, row) => {
+        const cell = grid[row]?.[col];
+        return cell === CELL_TYPES.WALL || (cell === CELL_TYPES.DOOR && !linkedDoors.has(cellKey(col, row)));
+    };
+    const polygons = getPolygons(level);
+    const free = new Uint8Array(columns * rows);
+    for (let sy = 0; sy < rows; sy++) {
+        for (let sx = 0; sx < columns; sx++) {
+            const x = (sx + 0.5) / SAMPLES_PER_CELL;
+            const y = (sy + 0.5) / SAMPLES_PER_CELL;
+            if (x < r || y < r || x > width - r || y > height - r) continue;
+            let blocked = false;
+            const col = Math.floor(x);
+            const row = Math.floor(y);
+            for (let cy = row - 1; cy <= row + 1 && !blocked; cy++) {
+                for (let cx = col - 1; cx <= col + 1 && !blocked; cx++) {
+                    if (grid[cy]?.[cx] === CELL_TYPES.HOLE) {
+                        blocked = Math.hypot(x - cx - 0.5, y - cy - 0.5) < physics.holeRadius;
+                    } else if (isBlocking(cx, cy)) {
+                        const closestX = Math.max(cx, Math.min(x, cx + 1));
+                        const closestY = Math.max(cy, Math.min(y, cy + 1));
+                        blocked = Math.hypot(x - closestX, y - closestY) < r;
+                    }
+                }
+            }
+            blocked ||= geometry.circles.some(circle => Math.hypot(x - circle.x, y - circle.y) < circle.radius + r);
+            blocked ||= geometry.segments.some(segment => distanceToSegment(x, y, segment) < segment.radius + r);
+            blocked ||= polygons.some(points => isInsidePolygon(x, y, points));
+            if (!blocked) free[sy * columns + sx] = 1;
+        }
+    }
+    return free;
+}
+
+/**
+ * Breadth-first search over free samples. Gates are only crossed in their direction;
+ * entering a teleporter cell also reaches the same spot in the partner cell.
+ */
+function flood(level, free, reached, startIndex) {
+    if (!free[startIndex] || reached[startIndex]) return;
+    const columns = level.width * SAMPLES_PER_CELL;
+    const rows = level.height * SAMPLES_PER_CELL;
+    const queue = [startIndex];
+    reached[startIndex] = 1;
+    const visit = (index) => {
+        if (free[index] && !reached[index]) {
+            reached[index] = 1;
+            queue.push(index);
+        }
+    };
+    for (let head = 0; head < queue.length; head++) {
+        const index = queue[head];
+        const sx = index % columns;
+        const sy = (index - sx) / columns;
+        const col = Math.floor(sx / SAMPLES_PER_CELL);
+        const row = Math.floor(sy / SAMPLES_PER_CELL);
+        const teleporter = level.teleporters[cellKey(col, row)];
+        if (teleporter) {
+            const tx = teleporter.targetCol * SAMPLES_PER_CELL + (sx - col * SAMPLES_PER_CELL);
+            const ty = teleporter.targetRow * SAMPLES_PER_CELL + (sy - row * SAMPLES_PER_CELL);
+            visit(ty * columns + tx);
+        }
+        NEIGHBORS.forEach(([dx, dy]) => {
+            const nx = sx + dx;
+            const ny = sy + dy;
+            if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) return;
+            const from = level.gates[cellKey(col, row)];
+            const to = level.gates[cellKey(Math.floor(nx / SAMPLES_PER_CELL), Math.floor(ny / SAMPLES_PER_CELL))];
+            if ((from && dx * from.dx + dy * from.dy < 0) || (to && dx * to.dx + dy * to.dy < 0)) return;
+            visit(ny * columns + nx);
+        });
+    }
+}
+
+function distanceToSegment(x, y, { x0, y0, x1, y1 }) {
+    const lengthSq = (x1 - x0) ** 2 + (y1 - y0) ** 2;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - x0) * (x1 - x0) + (y - y0) * (y1 - y0)) / lengthSq));
+    return Math.hypot(x - (x0 + (x1 - x0) * t), y - (y0 + (y1 - y0) * t));
+}
+
+/** Corner lists of the level's polygons. */
+function getPolygons(level) {
+    return level.geometry.shapes.filter(shape => shape.type === 'polygon').map(shape => shape.points);
+}
+
+/** Even-odd test of a point against a polygon given by its corners. */
+function isInsidePolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < xi + ((y - yi) * (xj - xi)) / (yj - yi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function sameCell(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
@@ -5,11 +5,19 @@
  * The raw level data is intentionally compact and human-editable:
  * - walls and holes are stored as [col, row] coordinates
  * - start and goal are stored as grid coordinates and later centered to cell centers
+ * - optional free-form geometry (ramps, polygons, bumpers, rails) uses continuous
+ *   cell units, where [0, 0] is the top-left corner of the board
  *
  * The hydrated grid uses numeric cell codes matching {@link CELL_TYPES}:
- * 0 = empty, 1 = wall, 2 = hole, 3 = goal
+ * 0 = empty, 1 = wall, 2 = hole, 3 = goal, 4-6 = surface floors (ice, mud, sand),
+ * 7 = booster, 8 = conveyor, 9 = teleporter, 10 = switch, 11 = closed door, 12 = open door,
+ * 13 = checkpoint, 14 = one-way gate, 15 = fragile wall
  */
 
+import { CELL_TYPES, DEFAULT_PHYSICS_PROFILE } from './constants.js';
+import { formatValidationErrors, validateLevel } from './levelValidator.js';
+import { generateMaze } from './mazeGenerator.js';
+
 /**
  * @typedef {Object} LevelData
  * @property {number} id
@@ -18,8 +26,25 @@
  * @property {number} height
  * @property {{x:number,y:number}} start Ball spawn position (cell-centered coordinates).
  * @property {{x:number,y:number}} goal Goal position (cell-centered coordinates).
+ * @property {Array<{x:number,y:number}>} starts Spawn positions of all balls (`start` first).
+ * @property {Array<{x:number,y:number}>} goals All goal sockets (`goal` first).
  * @property {Array<[number, number]>} walls Wall coordinates in grid cells.
  * @property {Array<[number, number]>} holes Hole coordinates in grid cells.
+ * @property {Array<[number, number]>} fragile Fragile wall coordinates in grid cells.
+ * @property {Record<string, Array<[number, number]>>} surfaces Surface cells by surface name.
+ * @property {Record<string, ForceTile>} forceTiles Boosters and conveyors keyed by {@link cellKey}.
+ * @property {Record<string, Teleporter>} teleporters Teleporter cells keyed by {@link cellKey}.
+ * @property {Mover[]} movers Moving walls/holes with their per-run state.
+ * @property {Record<string, Switch>} switches Switch cells keyed by {@link cellKey}.
+ * @property {Record<string, Door>} doors Door cells keyed by {@link cellKey} (per-run open state).
+ * @property {Record<string, Gate>} gates One-way gates keyed by {@link cellKey}.
+ * @property {Item[]} items Gems and keys with their per-run collected state.
+ * @property {Record<string, Checkpoint>} checkpoints Checkpoint cells keyed by {@link cellKey}.
+ * @property {Checkpoint|null} activeCheckpoint Checkpoint the ball respawns at after a fall (per run).
+ * @property {Geometry} geometry Free-form walls and their colliders.
+ * @property {ForceField[]} fields Magnets, repulsors and wind zones.
+ * @property {PhysicsProfile} physics Complete physics profile (defaults merged with level overrides).
+ * @property {Par|null} par Star rating targets, or null for unrated levels.
  * @property {number[][]} grid Numeric grid used by physics and rendering.
  */
 
@@ -33,8 +58,324 @@
  * @property {[number, number]} goal
  * @property {Array<[number, number]>} walls
  * @property {Array<[number, number]>} holes
+ * @property {Array<[number, number]>} [fragile] Optional fragile walls that shatter when the ball
+ *   hits them faster than the profile's `breakSpeed`; they are restored when the level restarts.
+ * @property {Partial<Record<keyof SURFACES, Array<[number, number]>>>} [surfaces]
+ *   Optional floor surfaces by name, e.g. `{ ice: [[3, 4]], mud: [[5, 5]] }`.
+ * @property {RawForceTile[]} [boosters] Optional booster pads (strong push).
+ * @property {RawForceTile[]} [conveyors] Optional conveyor belts (gentle constant push).
+ * @property {Array<[[number, number], [number, number]]>} [teleporters]
+ *   Optional linked teleporter pairs, e.g. `[[[2, 3], [8, 7]]]`. Both ends work in both directions.
+ * @property {RawMover[]} [movers] Optional moving walls/holes.
+ * @property {RawSwitch[]} [switches] Optional switches linked to door cells.
+ * @property {RawGate[]} [gates] Optional one-way gates.
+ * @property {Array<[number, number]>} [doors] Optional door cells that start closed.
+ * @property {Array<[number, number]>} [openDoors] Optional door cells that start open.
+ * @property {Array<[number, number]>} [gems] Optional collectible gems (tracked per level in the saved progress).
+ * @property {Array<[number, number]>} [keys] Optional keys; the goal stays locked until all are collected.
+ * @property {Array<[number, number]>} [balls] Optional spawn cells of additional balls (multi-ball levels).
+ *   All balls follow the same tilt; the level is won once every ball sits in its own goal socket.
+ * @property {Array<[number, number]>} [goals] Optional additional goal sockets; there must be at least
+ *   one socket per ball.
+ * @property {RawShape[]} [geometry] Optional free-form walls on top of the grid (angled segments,
+ *   polygons, curved bumpers and rails).
+ * @property {RawForceField[]} [fields] Optional area force fields (magnets, repulsors, wind zones).
+ * @property {Array<[number, number]>} [checkpoints] Optional checkpoint cells; after a fall the ball
+ *   respawns at the last one reached instead of restarting the level.
+ * @property {Partial<PhysicsProfile>} [physics] Optional physics overrides, e.g. `{ ...PHYSICS_PRESETS.rubber }`.
+ * @property {Par} [par] Optional time and lives targets for the star rating; levels without are unrated.
+ */
+
+/**
+ * Targets of a level's star rating (see {@link getStarRating}). Times are in seconds,
+ * `gold` <= `silver` <= `bronze`; the bronze time is the level's par.
+ * @typedef {Object} Par
+ * @property {number} gold Finishing within this time earns three stars.
+ * @property {number} silver Finishing within this time earns two stars.
+ * @property {number} bronze Par time; finishing within it earns the bronze medal.
+ * @property {number} [maxLivesLost=0] Lives that may be lost on the level without losing a star.
+ */
+
+/**
+ * @typedef {Object} StarRating
+ * @property {number} stars 1-3 stars.
+ * @property {'gold'|'silver'|'bronze'|null} medal Best time threshold met, or null if slower than par.
+ * @property {boolean} tooManyLivesLost Whether a star was lost for losing more than `maxLivesLost` lives.
+ */
+
+/**
+ * @typedef {typeof DEFAULT_PHYSICS_PROFILE} PhysicsProfile
+ */
+
+/**
+ * Ready-made physics overrides for levels.
+ * @type {Record<string, Partial<PhysicsProfile>>}
+ */
+export const PHYSICS_PRESETS = {
+    /** Rubber walls: almost no energy lost on bounces. */
+    rubber: { restitution: 0.95 },
+    /** Heavy ball: bigger, slower to accelerate, barely bounces. */
+    heavy: { ballRadius: 0.4, acceleration: 0.008, maxSpeed: 0.2, friction: 0.97, restitution: 0.35 },
+    /** Low gravity: weak tilt response, long roll-outs. */
+    lowGravity: { acceleration: 0.005, friction: 0.985, maxSpeed: 0.18 }
+};
+
+/**
+ * Directional tile as written in a raw level.
+ * @typedef {Object} RawForceTile
+ * @property {[number, number]} cell Grid coordinate [col, row].
+ * @property {keyof DIRECTIONS} direction Push direction.
+ * @property {number} [strength] Velocity added per physics tick while the ball overlaps the tile.
+ */
+
+/**
+ * Hydrated booster/conveyor tile.
+ * @typedef {Object} ForceTile
+ * @property {'booster'|'conveyor'} kind
+ * @property {number} col
+ * @property {number} row
+ * @property {number} dx Unit push direction (x).
+ * @property {number} dy Unit push direction (y).
+ * @property {number} strength Velocity added per physics tick at full overlap.
+ */
+
+/**
+ * Hydrated teleporter cell.
+ * @typedef {Object} Teleporter
+ * @property {number} col
+ * @property {number} row
+ * @property {number} pair Index of the pair in {@link RawLevel}.teleporters (used for coloring).
+ * @property {number} targetCol Column of the partner cell.
+ * @property {number} targetRow Row of the partner cell.
+ */
+
+/**
+ * Moving obstacle as written in a raw level.
+ * @typedef {Object} RawMover
+ * @property {'wall'|'hole'} type A solid block or a moving hole.
+ * @property {Array<[number, number]>} path Keyframes as grid coordinates of the block's top-left cell
+ *   (or the hole's cell). Fractional values are allowed.
+ * @property {number} duration Seconds for one full cycle.
+ * @property {'pingpong'|'loop'} [mode='pingpong'] Travel back and forth, or around the path and back to the start.
+ * @property {[number, number]} [size=[1, 1]] Block size in cells (walls only).
+ */
+
+/**
+ * Hydrated mover including its runtime state (advanced by the physics step).
+ * Positions refer to the top-left corner in cell units.
+ * @typedef {Object} Mover
+ * @property {'wall'|'hole'} type
+ * @property {number} width
+ * @property {number} height
+ * @property {Array<[number, number]>} points Path points (closed for loops).
+ * @property {number[]} segmentLengths
+ * @property {number} totalLength
+ * @property {number} duration
+ * @property {'pingpong'|'loop'} mode
+ * @property {number} time Seconds simulated so far.
+ * @property {number} x
+ * @property {number} y
+ * @property {number} prevX Position at the start of the last physics step.
+ * @property {number} prevY
+ * @property {number} vx Displacement during the last physics step.
+ * @property {number} vy
+ */
+
+/**
+ * Switch as written in a raw level.
+ * @typedef {Object} RawSwitch
+ * @property {[number, number]} cell Grid coordinate [col, row].
+ * @property {'hold'|'toggle'} [mode='hold'] `hold`: linked doors flip while the ball rests on the plate.
+ *   `toggle`: every new press flips the linked doors permanently.
+ * @property {Array<[number, number]>} doors Linked door cells (declared in `doors` or `openDoors`).
  */
 
+/**
+ * Hydrated switch including its per-run state.
+ * @typedef {Object} Switch
+ * @property {number} col
+ * @property {number} row
+ * @property {'hold'|'toggle'} mode
+ * @property {Array<[number, number]>} doors
+ * @property {number} group Index of the switch (used to color the switch and its doors).
+ * @property {boolean} pressed Whether the ball currently rests on the switch.
+ */
+
+/**
+ * Hydrated door including its per-run state.
+ * @typedef {Object} Door
+ * @property {number} col
+ * @property {number} row
+ * @property {boolean} open Logical state; the grid cell follows as soon as the ball is out of the way.
+ * @property {number} group Group of the first switch linked to this door (-1 if none).
+ */
+
+/**
+ * One-way gate as written in a raw level.
+ * @typedef {Object} RawGate
+ * @property {[number, number]} cell Grid coordinate [col, row].
+ * @property {keyof DIRECTIONS} direction Direction the ball may pass in; it is blocked coming the other way.
+ */
+
+/**
+ * Hydrated one-way gate.
+ * @typedef {Object} Gate
+ * @property {number} col
+ * @property {number} row
+ * @property {number} dx Unit pass direction (x).
+ * @property {number} dy Unit pass direction (y).
+ */
+
+/**
+ * Collectible placed on a floor cell.
+ * @typedef {Object} Item
+ * @property {'gem'|'key'} type
+ * @property {number} col
+ * @property {number} row
+ * @property {boolean} collected
+ */
+
+/**
+ * Hydrated checkpoint including its per-run state.
+ * @typedef {Object} Checkpoint
+ * @property {number} col
+ * @property {number} row
+ * @property {boolean} active Whether the ball has reached it during this run.
+ */
+
+/**
+ * Free-form wall as written in a raw level. Coordinates are in cell units
+ * (corners, not centers), so `[2, 5]` is the top-left corner of cell (2, 5).
+ * - `segment`: straight wall or ramp from `from` to `to`; a small `thickness` makes a thin rail.
+ * - `polygon`: solid convex or concave shape through `points`.
+ * - `bumper`: solid circle at `center` with `radius`; bounces harder than walls by default.
+ * - `arc`: curved rail around `center` with `radius` from angle `start` to `end` (degrees,
+ *   clockwise from the +x axis).
+ * @typedef {Object} RawShape
+ * @property {'segment'|'polygon'|'bumper'|'arc'} type
+ * @property {[number, number]} [from]
+ * @property {[number, number]} [to]
+ * @property {Array<[number, number]>} [points]
+ * @property {[number, number]} [center]
+ * @property {number} [radius]
+ * @property {number} [start]
+ * @property {number} [end]
+ * @property {number} [thickness] Wall thickness in cells (segments and arcs).
+ * @property {number} [restitution] Bounciness override for this shape (defaults to the ball's).
+ */
+
+/**
+ * Capsule-shaped collider (a segment grown by `radius`).
+ * @typedef {Object} SegmentCollider
+ * @property {number} x0
+ * @property {number} y0
+ * @property {number} x1
+ * @property {number} y1
+ * @property {number} radius Half the wall thickness.
+ * @property {number|null} restitution
+ */
+
+/**
+ * Circular collider (bumpers).
+ * @typedef {Object} CircleCollider
+ * @property {number} x
+ * @property {number} y
+ * @property {number} radius
+ * @property {number|null} restitution
+ */
+
+/**
+ * Hydrated free-form geometry: the shapes for drawing plus the colliders built from them.
+ * @typedef {Object} Geometry
+ * @property {RawShape[]} shapes
+ * @property {SegmentCollider[]} segments
+ * @property {CircleCollider[]} circles
+ */
+
+/**
+ * Area force field as written in a raw level (cell units, corners not centers).
+ * - `attractor` / `repulsor`: radial pull towards / push away from `center`, fading out
+ *   linearly towards `radius`.
+ * - `wind`: constant push in `direction` inside the rectangle `area` = [x, y, width, height].
+ * @typedef {Object} RawForceField
+ * @property {'attractor'|'repulsor'|'wind'} type
+ * @property {[number, number]} [center]
+ * @property {number} [radius]
+ * @property {[number, number, number, number]} [area]
+ * @property {keyof DIRECTIONS|[number, number]} [direction] Direction name or vector (wind only).
+ * @property {number} [strength] Velocity added per physics tick at full strength.
+ */
+
+/**
+ * Hydrated force field. Radial fields use `x`, `y`, `radius`; wind zones use the
+ * rectangle and the unit direction `dx`, `dy`.
+ * @typedef {Object} ForceField
+ * @property {'attractor'|'repulsor'|'wind'} type
+ * @property {number} strength
+ * @property {number} [x]
+ * @property {number} [y]
+ * @property {number} [radius]
+ * @property {number} [left]
+ * @property {number} [top]
+ * @property {number} [right]
+ * @property {number} [bottom]
+ * @property {number} [dx]
+ * @property {number} [dy]
+ */
+
+/**
+ * @typedef {Object} Surface
+ * @property {number} cellType Grid code of the surface (see {@link CELL_TYPES}).
+ * @property {number} friction Velocity factor per physics tick while on the surface.
+ * @property {number} acceleration Tilt acceleration while on the surface.
+ */
+
+/**
+ * Floor surfaces that override the ball's friction and acceleration
+ * while its center is on such a cell. Keyed by the name used in {@link RawLevel}.surfaces.
+ * @type {Record<string, Surface>}
+ */
+export const SURFACES = {
+    ice: { cellType: CELL_TYPES.ICE, friction: 0.995, acceleration: 0.004 },
+    mud: { cellType: CELL_TYPES.MUD, friction: 0.85, acceleration: 0.015 },
+    sand: { cellType: CELL_TYPES.SAND, friction: 0.92, acceleration: 0.012 }
+};
+
+/**
+ * Unit vectors for the direction names used in raw levels.
+ * @type {Record<string, [number, number]>}
+ */
+export const DIRECTIONS = {
+    up: [0, -1],
+    down: [0, 1],
+    left: [-1, 0],
+    right: [1, 0]
+};
+
+/** Default push strength (velocity per physics tick) of booster pads. */
+const DEFAULT_BOOSTER_STRENGTH = 0.03;
+
+/** Default push strength of conveyor belts; weaker than full tilt so the ball can fight it. */
+const DEFAULT_CONVEYOR_STRENGTH = 0.008;
+
+/** Default strength of magnets and repulsors at their center. */
+const DEFAULT_RADIAL_FIELD_STRENGTH = 0.008;
+
+/** Default strength of wind zones; weaker than full tilt so the ball can fight it. */
+const DEFAULT_WIND_STRENGTH = 0.005;
+
+/** Default thickness (cells) of segment and arc walls. */
+const DEFAULT_SHAPE_THICKNESS = 0.2;
+
+/** Default bounciness of bumpers; above 1 they kick the ball back faster than it came. */
+const DEFAULT_BUMPER_RESTITUTION = 1.2;
+
+/** Arcs are approximated by one straight collider per this many degrees. */
+const ARC_STEP_DEGREES = 10;
+
+/** Raw levels that already passed {@link validateLevel}; each definition is checked once (see {@link checkLevel}). */
+const validatedLevels = new WeakSet();
+
 /**
  * Raw level definitions. To keep the layout readable we use
  * spread operators with Array.from where long borders repeat.
@@ -43,6 +384,7 @@ export const LEVELS = [
     {
         id: 1,
         name: 'First Steps',
+        par: { gold: 8, silver: 12, bronze: 20, maxLivesLost: 0 },
         width: 10,
         height: 10,
         start: [1, 1],
@@ -65,6 +407,7 @@ export const LEVELS = [
     {
         id: 2,
         name: 'Forked Paths',
+        par: { gold: 12, silver: 18, bronze: 30, maxLivesLost: 0 },
         width: 12,
         height: 12,
         start: [1, 1],
@@ -94,6 +437,7 @@ export const LEVELS = [
     {
         id: 3,
         name: 'Labyrinth Loop',
+        par: { gold: 18, silver: 26, bronze: 40, maxLivesLost: 1 },
         width: 14,
         height: 14,
         start: [1, 1],
@@ -123,6 +467,7 @@ export const LEVELS = [
     {
         id: 4,
         name: 'Narrow Danger',
+        par: { gold: 22, silver: 32, bronze: 50, maxLivesLost: 1 },
         width: 16,
         height: 16,
         start: [1, 1],
@@ -164,6 +509,7 @@ export const LEVELS = [
     {
         id: 5,
         name: 'Zigzag Gauntlet',
+        par: { gold: 28, silver: 40, bronze: 60, maxLivesLost: 1 },
         width: 18,
         height: 18,
         start: [1, 1],
@@ -220,6 +566,7 @@ export const LEVELS = [
     {
         id: 6,
         name: 'Gridlock',
+        par: { gold: 35, silver: 50, bronze: 75, maxLivesLost: 2 },
         width: 20,
         height: 20,
         start: [1, 1],
@@ -272,7 +619,8 @@ export const LEVELS = [
             [3, 11], [6, 11], [13, 11], [16, 11],
             [5, 15], [8, 15], [11, 15], [14, 15],
             [4, 17], [7, 17], [12, 17], [15, 17], [18, 12]
-        ]
+        ],
+        checkpoints: [[3, 9], [18, 9]]
     }
 ];
 
@@ -281,6 +629,72 @@ export const LEVELS = [
  */
 export const TOTAL_LEVELS = LEVELS.length;
 
+/** Largest board side for endless mazes; they grow towards it as the stages go on. */
+const MAX_ENDLESS_SIZE = 21;
+
+/** Generated endless levels by level number, so restarts reuse the same definition. */
+const endlessLevels = new Map();
+
+/**
+ * Whether a level number lies in the endless sequence of generated mazes after the
+ * handcrafted levels.
+ * @param {number} levelNumber
+ * @returns {boolean}
+ */
+export function isEndlessLevel(levelNumber) {
+    return levelNumber > TOTAL_LEVELS;
+}
+
+/**
+ * Raw definition of an endless level. Every stage is seeded by its number and gets a
+ * bit bigger, tighter and holier than the one before.
+ * @param {number} levelNumber
+ * @returns {RawLevel}
+ */
+function getEndlessLevel(levelNumber) {
+    if (!endlessLevels.has(levelNumber)) {
+        const stage = levelNumber - TOTAL_LEVELS;
+        const size = Math.min(MAX_ENDLESS_SIZE, 11 + 2 * Math.floor((stage - 1) / 2));
+        endlessLevels.set(levelNumber, generateMaze({
+            seed: `endless-${stage}`,
+            width: size,
+            height: size,
+            difficulty: {
+                holeDensity: Math.min(0.2, 0.04 + 0.02 * stage),
+                corridorWidth: stage <= 2 ? 2 : 1,
+                deadEnds: Math.min(1, 0.3 + 0.1 * stage)
+            },
+            id: levelNumber,
+            name: `Endless ${stage}`
+        }));
+    }
+    return endlessLevels.get(levelNumber);
+}
+
+/**
+ * Lookup key for per-cell metadata (e.g. force tiles).
+ * @param {number} col
+ * @param {number} row
+ * @returns {string}
+ */
+export function cellKey(col, row) {
+    return `${col},${row}`;
+}
+
+/**
+ * Star rating of a finished run. Gold time earns three stars, silver time two, any other
+ * finish one; losing more than `maxLivesLost` lives on the level costs a star, down to one.
+ * @param {Par} par
+ * @param {{timeSeconds:number, livesLost:number}} run
+ * @returns {StarRating}
+ */
+export function getStarRating(par, { timeSeconds, livesLost }) {
+    const medal = ['gold', 'silver', 'bronze'].find(name => timeSeconds <= par[name]) ?? null;
+    const timeStars = medal === 'gold' ? 3 : medal === 'silver' ? 2 : 1;
+    const tooManyLivesLost = livesLost > (par.maxLivesLost ?? 0);
+    return { stars: Math.max(1, timeStars - (tooManyLivesLost ? 1 : 0)), medal, tooManyLivesLost };
+}
+
 /**
  * Create an empty numeric grid for a given level size.
  */
@@ -295,6 +709,165 @@ function cloneGrid(grid) {
     return grid.map(row => [...row]);
 }
 
+/**
+ * Write a cell code into the grid; coordinates outside the grid are ignored.
+ */
+function setCell(grid, x, y, value) {
+    if (grid[y] && typeof grid[y][x] !== 'undefined') {
+        grid[y][x] = value;
+    }
+}
+
+/**
+ * Place booster/conveyor tiles into the grid and collect their metadata.
+ * @param {number[][]} grid
+ * @param {RawForceTile[]} tiles
+ * @param {'booster'|'conveyor'} kind
+ * @param {Record<string, ForceTile>} target Lookup to fill, keyed by {@link cellKey}.
+ */
+function placeForceTiles(grid, tiles, kind, target) {
+    const cellType = kind === 'booster' ? CELL_TYPES.BOOSTER : CELL_TYPES.CONVEYOR;
+    const defaultStrength = kind === 'booster' ? DEFAULT_BOOSTER_STRENGTH : DEFAULT_CONVEYOR_STRENGTH;
+    tiles.forEach(({ cell: [col, row], direction, strength = defaultStrength }) => {
+        const vector = DIRECTIONS[direction];
+        if (!vector) {
+            throw new Error(`Unknown ${kind} direction "${direction}" at [${col}, ${row}].`);
+        }
+        setCell(grid, col, row, cellType);
+        target[cellKey(col, row)] = { kind, col, row, dx: vector[0], dy: vector[1], strength };
+    });
+}
+
+/**
+ * Build the runtime state for a moving obstacle.
+ * @param {RawMover} raw
+ * @returns {Mover}
+ */
+function hydrateMover(raw) {
+    const mode = raw.mode || 'pingpong';
+    const size = raw.type === 'wall' ? raw.size || [1, 1] : [1, 1];
+    const points = raw.path.map(([x, y]) => [x, y]);
+    if (mode === 'loop' && points.length > 1) {
+        points.push([...points[0]]);
+    }
+    const segmentLengths = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        segmentLengths.push(Math.hypot(points[i + 1][0] - points[i][0], points[i + 1][1] - points[i][1]));
+    }
+    const [x, y] = points[0];
+    return {
+        type: raw.type,
+        width: size[0],
+        height: size[1],
+        points,
+        segmentLengths,
+        totalLength: segmentLengths.reduce((sum, length) => sum + length, 0),
+        duration: raw.duration,
+        mode,
+        time: 0,
+        x,
+        y,
+        prevX: x,
+        prevY: y,
+        vx: 0,
+        vy: 0
+    };
+}
+
+/**
+ * Build the colliders for a level's free-form walls.
+ * @param {RawShape[]} shapes
+ * @param {number} levelId Used in error messages.
+ * @returns {Geometry}
+ */
+function hydrateGeometry(shapes, levelId) {
+    const segments = [];
+    const circles = [];
+    const addSegment = ([x0, y0], [x1, y1], thickness, restitution) => {
+        segments.push({ x0, y0, x1, y1, radius: thickness / 2, restitution });
+    };
+    shapes.forEach(shape => {
+        const restitution = shape.restitution ?? null;
+        const thickness = shape.thickness ?? DEFAULT_SHAPE_THICKNESS;
+        if (shape.type === 'segment') {
+            addSegment(shape.from, shape.to, thickness, restitution);
+        } else if (shape.type === 'polygon') {
+            shape.points.forEach((point, i) => {
+                addSegment(point, shape.points[(i + 1) % shape.points.length], 0, restitution);
+            });
+        } else if (shape.type === 'bumper') {
+            const [x, y] = shape.center;
+            circles.push({ x, y, radius: shape.radius, restitution: restitution ?? DEFAULT_BUMPER_RESTITUTION });
+        } else if (shape.type === 'arc') {
+            const [cx, cy] = shape.center;
+            const steps = Math.max(1, Math.ceil(Math.abs(shape.end - shape.start) / ARC_STEP_DEGREES));
+            const pointAt = (i) => {
+                const angle = ((shape.start + (shape.end - shape.start) * (i / steps)) * Math.PI) / 180;
+                return [cx + Math.cos(angle) * shape.radius, cy + Math.sin(angle) * shape.radius];
+            };
+            for (let i = 0; i < steps; i++) {
+                addSegment(pointAt(i), pointAt(i + 1), thickness, restitution);
+            }
+        } else {
+            throw new Error(`Unknown geometry type "${shape.type}" in level ${levelId}.`);
+        }
+    });
+    return { shapes, segments, circles };
+}
+
+/**
+ * Build the runtime form of a level's force fields.
+ * @param {RawForceField[]} fields
+ * @param {number} levelId Used in error messages.
+ * @returns {ForceField[]}
+ */
+function hydrateFields(fields, levelId) {
+    return fields.map(field => {
+        if (field.type === 'attractor' || field.type === 'repulsor') {
+            const [x, y] = field.center;
+            return { type: field.type, x, y, radius: field.radius, strength: field.strength ?? DEFAULT_RADIAL_FIELD_STRENGTH };
+        }
+        if (field.type === 'wind') {
+            const vector = typeof field.direction === 'string' ? DIRECTIONS[field.direction] : field.direction;
+            const length = vector ? Math.hypot(vector[0], vector[1]) : 0;
+            if (!length) {
+                throw new Error(`Invalid wind direction "${field.direction}" in level ${levelId}.`);
+            }
+            const [left, top, width, height] = field.area;
+            return {
+                type: 'wind',
+                left,
+                top,
+                right: left + width,
+                bottom: top + height,
+                dx: vector[0] / length,
+                dy: vector[1] / length,
+                strength: field.strength ?? DEFAULT_WIND_STRENGTH
+            };
+        }
+        throw new Error(`Unknown force field type "${field.type}" in level ${levelId}.`);
+    });
+}
+
+/**
+ * Checks the star rating targets of a level.
+ * @param {Par|undefined} par
+ * @param {number} levelId
+ * @returns {Par|null}
+ */
+function hydratePar(par, levelId) {
+    if (!par) return null;
+    const { gold, silver, bronze, maxLivesLost = 0 } = par;
+    const times = [gold, silver, bronze];
+    if (!times.every(time => typeof time === 'number' && time > 0) || gold > silver || silver > bronze) {
+        throw new Error(`Par times of level ${levelId} must be positive with gold <= silver <= bronze.`);
+    }
+    if (!Number.isInteger(maxLivesLost) || maxLivesLost < 0) {
+        throw new Error(`maxLivesLost of level ${levelId} must be a whole number of 0 or more.`);
+    }
+    return { gold, silver, bronze, maxLivesLost };
+}
+
 /**
  * Convert the raw level definition into a runtime structure for
  * the physics, renderer, and UI subsystems.
@@ -302,22 +875,68 @@ function cloneGrid(grid) {
  * @param {RawLevel} base
  * @returns {LevelData} hydrated level info
  */
-function hydrateLevel(base) {
+export function hydrateLevel(base) {
     const grid = createGrid(base.width, base.height);
-    base.walls.forEach(([x, y]) => {
-        if (grid[y] && typeof grid[y][x] !== 'undefined') {
-            grid[y][x] = 1;
+    Object.entries(base.surfaces || {}).forEach(([name, cells]) => {
+        const surface = SURFACES[name];
+        if (!surface) {
+            throw new Error(`Unknown surface "${name}" in level ${base.id}.`);
         }
+        cells.forEach(([x, y]) => setCell(grid, x, y, surface.cellType));
+    });
+    const forceTiles = {};
+    placeForceTiles(grid, base.boosters || [], 'booster', forceTiles);
+    placeForceTiles(grid, base.conveyors || [], 'conveyor', forceTiles);
+    const teleporters = {};
+    (base.teleporters || []).forEach(([[ax, ay], [bx, by]], pair) => {
+        setCell(grid, ax, ay, CELL_TYPES.TELEPORTER);
+        setCell(grid, bx, by, CELL_TYPES.TELEPORTER);
+        teleporters[cellKey(ax, ay)] = { col: ax, row: ay, pair, targetCol: bx, targetRow: by };
+        teleporters[cellKey(bx, by)] = { col: bx, row: by, pair, targetCol: ax, targetRow: ay };
     });
-    base.holes.forEach(([x, y]) => {
-        if (grid[y] && typeof grid[y][x] !== 'undefined') {
-            grid[y][x] = 2;
+    const doors = {};
+    const placeDoor = ([x, y], open) => {
+        setCell(grid, x, y, open ? CELL_TYPES.DOOR_OPEN : CELL_TYPES.DOOR);
+        doors[cellKey(x, y)] = { col: x, row: y, open, group: -1 };
+    };
+    (base.doors || []).forEach(cell => placeDoor(cell, false));
+    (base.openDoors || []).forEach(cell => placeDoor(cell, true));
+    const switches = {};
+    (base.switches || []).forEach(({ cell: [x, y], mode = 'hold', doors: linked }, group) => {
+        linked.forEach(([doorX, doorY]) => {
+            const door = doors[cellKey(doorX, doorY)];
+            if (!door) {
+                throw new Error(`Switch [${x}, ${y}] in level ${base.id} links to [${doorX}, ${doorY}], which is not a door.`);
+            }
+            if (door.group === -1) door.group = group;
+        });
+        setCell(grid, x, y, CELL_TYPES.SWITCH);
+        switches[cellKey(x, y)] = { col: x, row: y, mode, doors: linked, group, pressed: false };
+    });
+    const gates = {};
+    (base.gates || []).forEach(({ cell: [x, y], direction }) => {
+        const vector = DIRECTIONS[direction];
+        if (!vector) {
+            throw new Error(`Unknown gate direction "${direction}" at [${x}, ${y}] in level ${base.id}.`);
         }
+        setCell(grid, x, y, CELL_TYPES.GATE);
+        gates[cellKey(x, y)] = { col: x, row: y, dx: vector[0], dy: vector[1] };
+    });
+    const checkpoints = {};
+    (base.checkpoints || []).forEach(([x, y]) => {
+        setCell(grid, x, y, CELL_TYPES.CHECKPOINT);
+        checkpoints[cellKey(x, y)] = { col: x, row: y, active: false };
     });
+    base.walls.forEach(([x, y]) => setCell(grid, x, y, CELL_TYPES.WALL));
+    (base.fragile || []).forEach(([x, y]) => setCell(grid, x, y, CELL_TYPES.FRAGILE));
+    base.holes.forEach(([x, y]) => setCell(grid, x, y, CELL_TYPES.HOLE));
     const [goalX, goalY] = base.goal;
-    if (grid[goalY] && typeof grid[goalY][goalX] !== 'undefined') {
-        grid[goalY][goalX] = 3;
+    const goalCells = [base.goal, ...(base.goals || [])];
+    const startCells = [base.start, ...(base.balls || [])];
+    if (goalCells.length < startCells.length) {
+        throw new Error(`Level ${base.id} has ${startCells.length} balls but only ${goalCells.length} goal sockets.`);
     }
+    goalCells.forEach(([x, y]) => setCell(grid, x, y, CELL_TYPES.GOAL));
 
     return {
         id: base.id,
@@ -326,24 +945,112 @@ function hydrateLevel(base) {
         height: base.height,
         start: { x: base.start[0] + 0.5, y: base.start[1] + 0.5 },
         goal: { x: goalX + 0.5, y: goalY + 0.5 },
+        starts: startCells.map(([x, y]) => ({ x: x + 0.5, y: y + 0.5 })),
+        goals: goalCells.map(([x, y]) => ({ x: x + 0.5, y: y + 0.5 })),
         walls: base.walls,
         holes: base.holes,
-        rawStart: [...base.start],
-        rawGoal: [...base.goal],
+        fragile: base.fragile || [],
+        surfaces: base.surfaces || {},
+        forceTiles,
+        teleporters,
+        movers: (base.movers || []).map(hydrateMover),
+        switches,
+        doors,
+        gates,
+        geometry: hydrateGeometry(base.geometry || [], base.id),
+        fields: hydrateFields(base.fields || [], base.id),
+        physics: { ...DEFAULT_PHYSICS_PROFILE, ...(base.physics || {}) },
+        par: hydratePar(base.par, base.id),
+        items: [
+            ...(base.gems || []).map(([col, row]) => ({ type: 'gem', col, row, collected: false })),
+            ...(base.keys || []).map(([col, row]) => ({ type: 'key', col, row, collected: false }))
+        ],
+        checkpoints,
+        activeCheckpoint: null,
         grid
     };
 }
 
+/** Generated daily challenge levels by date key. */
+const dailyLevels = new Map();
+
+/**
+ * Date key (`YYYY-MM-DD`, local time) identifying the daily challenge for a date.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getDailyDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Retrieve the daily challenge level for a date key. The maze is seeded by the date,
+ * so every player gets the same level on the same day.
+ * @param {string} dateKey See {@link getDailyDateKey}.
+ * @returns {LevelData}
+ */
+export function getDailyLevelData(dateKey) {
+    if (!dailyLevels.has(dateKey)) {
+        dailyLevels.set(dateKey, generateMaze({
+            seed: `daily-${dateKey}`,
+            width: 17,
+            height: 13,
+            difficulty: { holeDensity: 0.12, corridorWidth: 1, deadEnds: 0.7 },
+            id: 0,
+            name: dateKey
+        }));
+    }
+    return prepareLevel(dailyLevels.get(dateKey));
+}
+
+/**
+ * Validate and hydrate a level that is not part of {@link LEVELS}, e.g. one from the editor.
+ * @param {RawLevel} base
+ * @returns {LevelData}
+ */
+export function getCustomLevelData(base) {
+    return prepareLevel(base);
+}
+
 /**
  * Retrieve a specific level definition (1-indexed).
+ * Level numbers past {@link TOTAL_LEVELS} return generated endless mazes.
+ * Throws with every validation error listed if the definition is broken or unsolvable.
  * @param {number} levelNumber
  * @returns {LevelData}
  */
 export function getLevelData(levelNumber) {
-    const base = LEVELS[levelNumber - 1];
+    const base = isEndlessLevel(levelNumber) ? getEndlessLevel(levelNumber) : LEVELS[levelNumber - 1];
     if (!base) {
-        throw new Error(`Level ${levelNumber} does not exist. Available levels: 1-${LEVELS.length}`);
+        throw new Error(`Level ${levelNumber} does not exist. Level numbers start at 1.`);
+    }
+    return prepareLevel(base);
+}
+
+/**
+ * Run {@link validateLevel} on a raw level unless this definition already passed it, so
+ * a level checked on import or in the editor is not validated again when it is played.
+ * @param {RawLevel} base
+ * @throws {Error} With every validation error listed if the level is broken or unsolvable.
+ */
+export function checkLevel(base) {
+    if (validatedLevels.has(base)) return;
+    const { valid, errors } = validateLevel(base);
+    if (!valid) {
+        throw new Error(formatValidationErrors(base, errors));
     }
+    validatedLevels.add(base);
+}
+
+/**
+ * Validate (once per definition) and hydrate a raw level with its own grid copy.
+ * @param {RawLevel} base
+ * @returns {LevelData}
+ */
+function prepareLevel(base) {
+    checkLevel(base);
     const hydrated = hydrateLevel(base);
     hydrated.grid = cloneGrid(hydrated.grid);
     return hydrated;
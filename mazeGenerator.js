@@ -0,0 +1,289 @@
+/**
+ * @file mazeGenerator.js
+ * @description Seeded procedural maze generator producing raw level definitions.
+ *
+ * Mazes are carved with a recursive backtracker on a grid of "rooms", each room being
+ * `corridorWidth` x `corridorWidth` tiles with one-tile walls in between. Dead ends are
+ * then partially removed by opening extra walls (braiding), the goal is placed in the
+ * room farthest from the start, and holes are scattered off the solution path.
+ *
+ * All randomness comes from a seeded generator, so the same seed and options always
+ * produce the same maze.
+ */
+
+import { validateLevel } from './levelValidator.js';
+
+/**
+ * Difficulty knobs for a generated maze.
+ * @typedef {Object} MazeDifficulty
+ * @property {number} [holeDensity=0.08] Share of floor tiles that become holes (0..1).
+ * @property {number} [corridorWidth=1] Corridor width in tiles (1 = tight, 2+ = roomy).
+ * @property {number} [deadEnds=1] Share of dead ends kept (1 = perfect maze, 0 = no dead ends).
+ */
+
+/**
+ * @typedef {Object} MazeOptions
+ * @property {number|string} seed Numbers and strings are both accepted.
+ * @property {number} [width=15] Board width in tiles; rounded down to fit whole rooms.
+ * @property {number} [height=15] Board height in tiles; rounded down to fit whole rooms.
+ * @property {MazeDifficulty} [difficulty]
+ * @property {number} [id=0] Level id written to the result.
+ * @property {string} [name] Level name; defaults to one derived from the seed.
+ */
+
+/** @type {Required<MazeDifficulty>} */
+export const DEFAULT_MAZE_DIFFICULTY = Object.freeze({
+    holeDensity: 0.08,
+    corridorWidth: 1,
+    deadEnds: 1
+});
+
+/** Room neighbor directions used while carving. */
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Generate a maze as a raw level definition (see `RawLevel` in levels.js).
+ * @param {MazeOptions} options
+ * @returns {import('./levels.js').RawLevel}
+ */
+export function generateMaze({ seed, width = 15, height = 15, difficulty = {}, id = 0, name } = {}) {
+    const { holeDensity, corridorWidth, deadEnds } = { ...DEFAULT_MAZE_DIFFICULTY, ...difficulty };
+    const random = createRandom(seed);
+    const span = Math.max(1, Math.floor(corridorWidth)) + 1;
+    const rooms = {
+        cols: Math.max(2, Math.floor((width - 1) / span)),
+        rows: Math.max(2, Math.floor((height - 1) / span))
+    };
+
+    const links = carvePassages(rooms, random);
+    braidDeadEnds(rooms, links, 1 - clamp01(deadEnds), random);
+    const path = findSolutionPath(links);
+
+    const tiles = layoutTiles(rooms, links, span);
+    const start = [1, 1];
+    const goalRoom = path[path.length - 1];
+    const goal = [1 + goalRoom[0] * span, 1 + goalRoom[1] * span];
+
+    const base = {
+        id,
+        name: name ?? `Maze ${seed}`,
+        width: tiles.width,
+        height: tiles.height,
+        start,
+        goal,
+        walls: tiles.walls
+    };
+
+    const pathTiles = collectPathTiles(path, span);
+    const holes = placeHoles(tiles, pathTiles, { start, goal, span, holeDensity: clamp01(holeDensity) }, random);
+    const level = { ...base, holes: holes.all };
+    // Path holes are only placed where the wide corridor leaves room to pass, but if the
+    // validator still finds the goal cut off, fall back to holes off the path.
+    if (holes.onPath.length > 0 && !validateLevel(level).valid) {
+        return { ...base, holes: holes.offPath };
+    }
+    return level;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) returning floats in [0, 1).
+ * @param {number|string} seed
+ * @returns {() => number}
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** FNV-1a hash of the seed's string form, so `7` and `'7'` give the same maze. */
+function hashSeed(seed) {
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function roomKey(x, y) {
+    return `${x},${y}`;
+}
+
+/**
+ * Iterative recursive backtracker over the room grid.
+ * @returns {Map<string, Set<string>>} Open passages per room, keyed by {@link roomKey}.
+ */
+function carvePassages({ cols, rows }, random) {
+    const links = new Map();
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            links.set(roomKey(x, y), new Set());
+        }
+    }
+    const visited = new Set([roomKey(0, 0)]);
+    const stack = [[0, 0]];
+    while (stack.length > 0) {
+        const [x, y] = stack[stack.length - 1];
+        const options = DIRECTIONS
+            .map(([dx, dy]) => [x + dx, y + dy])
+            .filter(([nx, ny]) => nx >= 0 && ny >= 0 && nx < cols && ny < rows && !visited.has(roomKey(nx, ny)));
+        if (options.length === 0) {
+            stack.pop();
+            continue;
+        }
+        const [nx, ny] = options[Math.floor(random() * options.length)];
+        links.get(roomKey(x, y)).add(roomKey(nx, ny));
+        links.get(roomKey(nx, ny)).add(roomKey(x, y));
+        visited.add(roomKey(nx, ny));
+        stack.push([nx, ny]);
+    }
+    return links;
+}
+
+/**
+ * Opens an extra wall at a share of the dead ends, preferring walls towards other dead ends.
+ * The start room is left alone so the ball always begins in a pocket.
+ */
+function braidDeadEnds({ cols, rows }, links, share, random) {
+    if (share <= 0) return;
+    const deadEnds = [];
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            if ((x !== 0 || y !== 0) && links.get(roomKey(x, y)).size === 1) deadEnds.push([x, y]);
+        }
+    }
+    shuffle(deadEnds, random).forEach(([x, y]) => {
+        const own = links.get(roomKey(x, y));
+        if (own.size !== 1 || random() >= share) return;
+        const closed = DIRECTIONS
+            .map(([dx, dy]) => [x + dx, y + dy])
+            .filter(([nx, ny]) => nx >= 0 && ny >= 0 && nx < cols && ny < rows && !own.has(roomKey(nx, ny)));
+        if (closed.length === 0) return;
+        const preferred = closed.filter(([nx, ny]) => links.get(roomKey(nx, ny)).size === 1);
+        const pool = preferred.length > 0 ? preferred : closed;
+        const [nx, ny] = pool[Math.floor(random() * pool.length)];
+        own.add(roomKey(nx, ny));
+        links.get(roomKey(nx, ny)).add(roomKey(x, y));
+    });
+}
+
+/**
+ * Breadth-first search from the start room; the farthest room becomes the goal.
+ * @returns {Array<[number, number]>} Rooms from start to goal.
+ */
+function findSolutionPath(links) {
+    const parents = new Map([[roomKey(0, 0), null]]);
+    const queue = [roomKey(0, 0)];
+    for (let head = 0; head < queue.length; head++) {
+        links.get(queue[head]).forEach(next => {
+            if (parents.has(next)) return;
+            parents.set(next, queue[head]);
+            queue.push(next);
+        });
+    }
+    const farthest = queue[queue.length - 1];
+    const path = [];
+    for (let key = farthest; key !== null; key = parents.get(key)) {
+        path.unshift(key.split(',').map(Number));
+    }
+    return path;
+}
+
+/**
+ * Converts rooms and passages to tiles: every tile starts as wall and rooms plus
+ * opened passages are cleared.
+ */
+function layoutTiles({ cols, rows }, links, span) {
+    const width = cols * span + 1;
+    const height = rows * span + 1;
+    const open = Array.from({ length: height }, () => Array(width).fill(false));
+    const clearBlock = (x0, y0, w, h) => {
+        for (let y = y0; y < y0 + h; y++) {
+            for (let x = x0; x < x0 + w; x++) open[y][x] = true;
+        }
+    };
+    const size = span - 1;
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            clearBlock(1 + x * span, 1 + y * span, size, size);
+            if (links.get(roomKey(x, y)).has(roomKey(x + 1, y))) clearBlock(x * span + span, 1 + y * span, 1, size);
+            if (links.get(roomKey(x, y)).has(roomKey(x, y + 1))) clearBlock(1 + x * span, y * span + span, size, 1);
+        }
+    }
+    const walls = [];
+    const floor = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            (open[y][x] ? floor : walls).push([x, y]);
+        }
+    }
+    return { width, height, walls, floor };
+}
+
+/**
+ * Tiles on the solution path: per room its tiles, plus the passage tiles towards the next room.
+ * @returns {Map<string, number>} Tile key -> index of the path room it belongs to.
+ */
+function collectPathTiles(path, span) {
+    const tiles = new Map();
+    const size = span - 1;
+    path.forEach(([rx, ry], index) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) tiles.set(roomKey(1 + rx * span + x, 1 + ry * span + y), index);
+        }
+        const next = path[index + 1];
+        if (!next) return;
+        const [dx, dy] = [next[0] - rx, next[1] - ry];
+        for (let i = 0; i < size; i++) {
+            const x = dx !== 0 ? (dx > 0 ? rx * span + span : rx * span) : 1 + rx * span + i;
+            const y = dy !== 0 ? (dy > 0 ? ry * span + span : ry * span) : 1 + ry * span + i;
+            tiles.set(roomKey(x, y), -1);
+        }
+    });
+    return tiles;
+}
+
+/**
+ * Scatters holes over the floor. Off-path tiles are always candidates; in corridors
+ * wider than one tile, one tile per path room may become a hole as well, which never
+ * closes the corridor. Passages between rooms and the start/goal rooms stay clear.
+ */
+function placeHoles(tiles, pathTiles, { start, goal, span, holeDensity }, random) {
+    const roomOf = ([x, y]) => `${Math.floor((x - 1) / span)},${Math.floor((y - 1) / span)}`;
+    const reserved = new Set([roomOf(start), roomOf(goal)]);
+    const isPassage = ([x, y]) => x % span === 0 || y % span === 0;
+    const candidates = tiles.floor.filter(tile => !isPassage(tile) && !reserved.has(roomOf(tile)));
+    const count = Math.round(tiles.floor.length * holeDensity);
+
+    const offPath = [];
+    const onPath = [];
+    const usedPathRooms = new Set();
+    for (const tile of shuffle(candidates, random)) {
+        if (offPath.length + onPath.length >= count) break;
+        const pathRoom = pathTiles.get(roomKey(tile[0], tile[1]));
+        if (pathRoom === undefined) {
+            offPath.push(tile);
+        } else if (span > 2 && !usedPathRooms.has(pathRoom)) {
+            usedPathRooms.add(pathRoom);
+            onPath.push(tile);
+        }
+    }
+    return { all: [...offPath, ...onPath], offPath, onPath };
+}
@@ -0,0 +1,17 @@
+/**
+ * @file packs/core.js
+ * @description Manifest of the bundled level pack: the handcrafted levels from levels.js,
+ * followed by endless generated mazes.
+ */
+
+import { LEVELS } from '../levels.js';
+
+/** @type {import('../levelPacks.js').LevelPackManifest} */
+export default {
+    id: 'core',
+    title: 'Classic',
+    author: 'Tilt Maze team',
+    levels: LEVELS,
+    unlock: { levels: 'sequential' },
+    endless: true
+};
@@ -0,0 +1,248 @@
+/**
+ * @file packs/workshop.js
+ * @description Manifest of the "Workshop" pack: small levels that each introduce one tile
+ * or mechanic, written as text maps (see levelFormat.js), and a final generated maze larger
+ * than the screen that scrolls with the camera. All levels are open from the start.
+ */
+
+import { parseLevel } from '../levelFormat.js';
+import { PHYSICS_PRESETS } from '../levels.js';
+import { generateMaze } from '../mazeGenerator.js';
+
+/** @type {import('../levelPacks.js').LevelPackManifest} */
+export default {
+    id: 'workshop',
+    title: 'Workshop',
+    author: 'Tilt Maze team',
+    levels: [
+        parseLevel({
+            id: 101,
+            name: 'Slippery Slopes',
+            map: [
+                '############',
+                '#S.~~~~~~~~#',
+                '#..~~~~~~~~#',
+                '#..~~O~~O~~#',
+                '#######,,,,#',
+                '#:::::#,,,,#',
+                '#:O:::#,,O,#',
+                '#G::::,,,,,#',
+                '############'
+            ]
+        }),
+        parseLevel({
+            id: 102,
+            name: 'Fast Lane',
+            legend: {
+                a: { type: 'booster', direction: 'right' },
+                e: { type: 'booster', direction: 'down' },
+                c: { type: 'conveyor', direction: 'left' }
+            },
+            map: [
+                '##############',
+                '#S..aaaa.....#',
+                '#..........O.#',
+                '#########e####',
+                '#.....cccc...#',
+                '#.O..........#',
+                '#.############',
+                '#....cccc..G.#',
+                '##############'
+            ]
+        }),
+        parseLevel({
+            id: 103,
+            name: 'Wormholes',
+            legend: { t: { type: 'teleporter' }, u: { type: 'teleporter' } },
+            map: [
+                '##############',
+                '#S..t#u..#..G#',
+                '#....#...#...#',
+                '#.O..#...#.O.#',
+                '#....#..t#...#',
+                '#....#...#u..#',
+                '##############'
+            ]
+        }),
+        parseLevel({
+            id: 104,
+            name: 'Moving Parts',
+            map: [
+                '###############',
+                '#S............#',
+                '#.............#',
+                '#.............#',
+                '#######.#######',
+                '#.............#',
+                '#.............#',
+                '#............G#',
+                '###############'
+            ],
+            movers: [
+                { type: 'wall', size: [1, 2], path: [[3, 1], [11, 1]], duration: 4, mode: 'pingpong' },
+                { type: 'wall', size: [2, 1], path: [[2, 3], [11, 3]], duration: 3, mode: 'pingpong' },
+                { type: 'hole', path: [[2, 6], [12, 6], [12, 5], [2, 5]], duration: 6, mode: 'loop' }
+            ]
+        }),
+        parseLevel({
+            id: 105,
+            name: 'Pressure Plates',
+            legend: {
+                x: { type: 'switch', mode: 'toggle', doors: [[4, 2]] },
+                y: { type: 'switch', mode: 'toggle', doors: [[9, 2]] }
+            },
+            map: [
+                '#############',
+                '#S..#....#.G#',
+                '#...D....D..#',
+                '#.x.#..y.#..#',
+                '#...#.O..#..#',
+                '#############'
+            ]
+        }),
+        parseLevel({
+            id: 106,
+            name: 'Treasure Hunt',
+            map: [
+                '##############',
+                '#S..*..#..*..#',
+                '#.####.#.###.#',
+                '#..k...O...*.#',
+                '#.####...###.#',
+                '#*...k.#....G#',
+                '##############'
+            ]
+        }),
+        parseLevel({
+            id: 107,
+            name: 'Heavy Metal',
+            map: [
+                '############',
+                '#S.....O...#',
+                '#.####.###.#',
+                '#....#.....#',
+                '####.#.#####',
+                '#G.........#',
+                '############'
+            ],
+            physics: { ...PHYSICS_PRESETS.heavy }
+        }),
+        parseLevel({
+            id: 108,
+            name: 'Gravity Wells',
+            map: [
+                '##############',
+                '#S...........#',
+                '#..O...O...O.#',
+                '#............#',
+                '#....O...O...#',
+                '#............#',
+                '#..O...O....G#',
+                '##############'
+            ]
+        }),
+        parseLevel({
+            id: 109,
+            name: 'Save Points',
+            map: [
+                '###############',
+                '#S...O....O..C#',
+                '#.............#',
+                '###########...#',
+                '#C............#',
+                '#...O....O....#',
+                '#..############',
+                '#.......O.....#',
+                '#...O.......OG#',
+                '###############'
+            ]
+        }),
+        parseLevel({
+            id: 110,
+            name: 'Twin Marbles',
+            map: [
+                '##############',
+                '#S....#.....B#',
+                '#.....#......#',
+                '#..g..#..G...#',
+                '#.O...#...O..#',
+                '#............#',
+                '##############'
+            ]
+        }),
+        parseLevel({
+            id: 111,
+            name: 'Odd Angles',
+            map: [
+                '##############',
+                '#S...........#',
+                '#............#',
+                '#.....O......#',
+                '#............#',
+                '#............#',
+                '#..O........G#',
+                '##############'
+            ],
+            geometry: [
+                { type: 'segment', from: [4, 1], to: [6, 3] },
+                { type: 'polygon', points: [[8, 1], [11, 1], [9.5, 3.5]] },
+                { type: 'bumper', center: [4.5, 4.5], radius: 0.5 },
+                { type: 'arc', center: [10, 6], radius: 1.5, start: 180, end: 270, thickness: 0.1 }
+            ]
+        }),
+        parseLevel({
+            id: 112,
+            name: 'One Way Street',
+            map: [
+                '#############',
+                '#S....>...O.#',
+                '#######v###.#',
+                '#...........#',
+                '#v###########',
+                '#.....>....G#',
+                '#############'
+            ]
+        }),
+        parseLevel({
+            id: 113,
+            name: 'Magnetic Storm',
+            map: [
+                '##############',
+                '#S...........#',
+                '#............#',
+                '#..O......O..#',
+                '#............#',
+                '#............#',
+                '#...........G#',
+                '##############'
+            ],
+            fields: [
+                { type: 'wind', area: [5, 1, 3, 6], direction: 'up', strength: 0.004 },
+                { type: 'attractor', center: [3.5, 5.5], radius: 2 },
+                { type: 'repulsor', center: [10.5, 5], radius: 1.5 }
+            ]
+        }),
+        parseLevel({
+            id: 114,
+            name: 'Glass House',
+            map: [
+                '##############',
+                '#S.......%...#',
+                '#........%...#',
+                '#####%####%%%#',
+                '#...O....%...#',
+                '#........%..G#',
+                '##############'
+            ]
+        }),
+        generateMaze({
+            seed: 'workshop-grand-tour',
+            width: 61,
+            height: 45,
+            difficulty: { holeDensity: 0.05, corridorWidth: 2, deadEnds: 0.5 },
+            id: 115,
+            name: 'Grand Tour'
+        })
+    ],
+    unlock: { levels: 'open' }
+};
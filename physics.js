@@ -4,37 +4,69 @@
  *
  * The board is represented as a 2D grid of numeric cell types.
  * The ball moves in continuous "cell space" (1 unit = 1 cell).
+ * The simulation advances in fixed steps of {@link FIXED_TIMESTEP}; the game
+ * loop runs as many steps per frame as real time requires.
  *
  * Responsibilities:
+ * - Apply pushes from booster/conveyor tiles and area force fields (magnets, repulsors, wind)
  * - Integrate velocity with friction
- * - Resolve collisions against wall cells
- * - Detect holes and goal reach
+ * - Sweep the ball along its path and resolve collisions against wall cells,
+ *   one-way gates and free-form geometry (angled segments, polygons, bumpers, rails)
+ * - Shatter fragile walls hit hard enough
+ * - Pull the ball towards nearby holes (gravity wells)
+ * - Detect holes (along the whole path) and goal reach
+ * - Move the ball between linked teleporters
+ * - Advance moving walls/holes along their keyframed paths
+ * - Press switches and open/close their linked doors
+ * - Collect gems and keys; keep the goal locked while keys are missing
+ * - Activate checkpoints the ball rolls over
+ * - Collide balls with each other and dock them in goal sockets (multi-ball levels)
  */
 
-import { CELL_TYPES } from './constants.js';
+import { CELL_TYPES, DEFAULT_PHYSICS_PROFILE, FIXED_TIMESTEP } from './constants.js';
+import { SURFACES, cellKey } from './levels.js';
 export { CELL_TYPES };
 
+/** Lookup: grid cell code -> surface properties. */
+const SURFACE_BY_CELL_TYPE = new Map(Object.values(SURFACES).map(surface => [surface.cellType, surface]));
+
 /**
  * Represents the brass ball rolling around the maze.
- * Velocity values are stored in grid units per frame.
+ * Velocity values are stored in grid units per physics tick
+ * (one tick = {@link FIXED_TIMESTEP} seconds).
  */
 export class BallState {
-    constructor(radius = 0.35) {
+    constructor(radius = DEFAULT_PHYSICS_PROFILE.ballRadius) {
         this.radius = radius;
         
         // ============================================================
-        // ICE-PHYSICS PARAMETERS
+        // ICE-PHYSICS PARAMETERS (defaults; levels may override them via applyProfile)
         // ============================================================
         // Maximum speed: how fast the ball is allowed to get
-        this.maxSpeed = 0.25;
+        this.maxSpeed = DEFAULT_PHYSICS_PROFILE.maxSpeed;
         
         // Friction factor: how quickly the ball slows down (0.95 = slower stop, 0.99 = very slippery)
         // Higher values = less friction = longer sliding distance (ice-like feeling)
-        this.friction = 0.96;
+        this.friction = DEFAULT_PHYSICS_PROFILE.friction;
         
         // Acceleration: how quickly the ball accelerates in response to input
         // Higher values = stronger acceleration
-        this.acceleration = 0.012;
+        this.acceleration = DEFAULT_PHYSICS_PROFILE.acceleration;
+
+        // Restitution: share of the normal velocity kept after a wall bounce
+        this.restitution = DEFAULT_PHYSICS_PROFILE.restitution;
+
+        // Surface the ball currently rolls on (ice, mud, ...); null = plain floor.
+        // Overrides friction and acceleration while set.
+        this.surface = null;
+
+        // Teleport cooldown in physics ticks, and the cell key of the last arrival
+        // teleporter (it stays inactive until the ball has left that cell).
+        this.teleportCooldown = 0;
+        this.teleportLock = null;
+
+        // Set once the ball has settled in a goal socket; docked balls no longer move.
+        this.docked = false;
         
         this.reset(1.5, 1.5);
     }
@@ -42,19 +74,66 @@ export class BallState {
     reset(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
         this.vx = 0;
         this.vy = 0;
+        this.surface = null;
+        this.teleportCooldown = 0;
+        this.teleportLock = null;
+        this.docked = false;
+    }
+
+    /**
+     * Applies a level's physics profile (ball size, speed, friction, acceleration, bounciness).
+     * @param {import('./levels.js').PhysicsProfile} profile
+     */
+    applyProfile(profile) {
+        this.radius = profile.ballRadius;
+        this.maxSpeed = profile.maxSpeed;
+        this.friction = profile.friction;
+        this.acceleration = profile.acceleration;
+        this.restitution = profile.restitution;
+    }
+
+    /**
+     * Remembers the current position as the start of the next physics step.
+     * Used for interpolated rendering between two steps.
+     */
+    savePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Returns the render position blended between the previous and current step.
+     * @param {number} alpha Fraction of a physics step elapsed since the last step, in [0, 1].
+     * @returns {{x:number, y:number, radius:number}}
+     */
+    getInterpolatedPosition(alpha) {
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha,
+            radius: this.radius
+        };
     }
 
     /**
      * Apply normalized tilt or keyboard input to influence
      * acceleration. Inputs are clamped to [-1, 1].
+     * The current surface (if any) replaces the default acceleration.
      */
     applyTilt(ax, ay) {
         const clampedX = Math.max(-1, Math.min(1, ax));
         const clampedY = Math.max(-1, Math.min(1, ay));
-        this.vx += clampedX * this.acceleration;
-        this.vy += clampedY * this.acceleration;
+        const acceleration = this.surface ? this.surface.acceleration : this.acceleration;
+        this.vx += clampedX * acceleration;
+        this.vy += clampedY * acceleration;
+        this.clampSpeed();
+    }
+
+    /** Scales the velocity down to `maxSpeed` if it is faster. */
+    clampSpeed() {
         const speed = Math.hypot(this.vx, this.vy);
         if (speed > this.maxSpeed) {
             const scale = this.maxSpeed / speed;
@@ -64,44 +143,849 @@ export class BallState {
     }
 
     /**
-     * Integrate velocity into position with friction applied.
+     * Apply friction to the velocity.
      * Simulates realistic friction: the ball gradually rolls out and comes
      * to rest, similar to a marble on a smooth surface.
+     * The current surface (if any) replaces the default friction.
+     * The position itself is advanced by the swept collision pass in {@link integrate}.
      */
-    integrate() {
-        // Apply friction: reduce velocity every frame.
-        // friction = 0.96 means ~4% speed loss per frame, which creates
+    applyFriction() {
+        // Apply friction: reduce velocity every physics tick.
+        // friction = 0.96 means ~4% speed loss per tick, which creates
         // a natural looking roll-out.
-        this.vx *= this.friction;
-        this.vy *= this.friction;
+        const friction = this.surface ? this.surface.friction : this.friction;
+        this.vx *= friction;
+        this.vy *= friction;
         
         // Stop at very small velocities (prevents endless micro-sliding).
         // Threshold is small enough to still look like a natural roll-out.
         if (Math.abs(this.vx) < 0.001) this.vx = 0;
         if (Math.abs(this.vy) < 0.001) this.vy = 0;
-        
-        // Update position based on velocity.
-        this.x += this.vx;
-        this.y += this.vy;
     }
 }
 
 /**
- * Update the physics state for one frame.
+ * A straight piece of the ball's path during one step (ball center positions).
+ * @typedef {{x0:number, y0:number, x1:number, y1:number}} PathSegment
+ */
+
+/** Physics ticks after a teleport during which no teleporter triggers again. */
+const TELEPORT_COOLDOWN_TICKS = 30;
+
+/** Pickup radius of gems and keys (added to the ball radius). */
+const ITEM_RADIUS = 0.2;
+
+/** Maximum number of bounces resolved within a single physics step. */
+const MAX_SWEEP_ITERATIONS = 4;
+
+/** Distance the ball is kept away from a surface after a swept contact. */
+const CONTACT_SKIN = 1e-4;
+
+/** Stand-in for levels without free-form geometry. */
+const EMPTY_GEOMETRY = { shapes: [], segments: [], circles: [] };
+
+/**
+ * Everything the ball bounces off besides solid grid cells.
+ * @typedef {Object} Colliders
+ * @property {import('./levels.js').Mover[]} movingWalls Moving wall blocks (already advanced for this step).
+ * @property {import('./levels.js').Geometry} geometry Free-form walls.
+ * @property {Record<string, import('./levels.js').Gate>} gates One-way gates keyed by {@link cellKey}.
+ * @property {number} breakSpeed Normal speed that shatters fragile walls.
+ * @property {BreakEvent[]} breaks Fragile walls shattered during this step (filled while sweeping).
+ */
+
+/**
+ * A teleport that happened during a physics step (cell-centered coordinates).
+ * @typedef {{from:{x:number,y:number}, to:{x:number,y:number}}} TeleportEvent
+ */
+
+/**
+ * A switch that was pressed or released during a physics step.
+ * @typedef {{col:number, row:number, mode:'hold'|'toggle', pressed:boolean}} SwitchEvent
+ */
+
+/**
+ * A fragile wall that shattered during a physics step.
+ * `speed` is the ball's speed into the wall along its normal.
+ * @typedef {{col:number, row:number, speed:number}} BreakEvent
+ */
+
+/** Share of the normal speed the ball keeps when it smashes through a fragile wall. */
+const BREAK_SPEED_KEPT = 0.5;
+
+/**
+ * An item picked up during a physics step.
+ * @typedef {{type:'gem'|'key', col:number, row:number}} CollectEvent
+ */
+
+/**
+ * Advance the physics state by one fixed step ({@link FIXED_TIMESTEP}).
+ * All balls of a multi-ball level move in the same step and collide with each other.
+ * A ball that reaches a free goal socket is docked there and stops moving.
+ *
+ * @param {BallState|BallState[]} balls The ball, or every ball of a multi-ball level.
+ * @param {number[][]} grid
+ * @param {import('./levels.js').LevelData} [level] Hydrated level providing per-cell metadata
+ *   (booster/conveyor directions, teleporter links, switches/doors) and moving obstacles.
+ *   Optional for plain grids. Door state is written back into `grid` and `level.doors`.
+ * @returns {{hitHole: boolean, hole: {x:number, y:number}|null, fallenBall: BallState|null,
+ *   reachedGoal: boolean, goalLocked: boolean, docked: BallState[], teleports: TeleportEvent[],
+ *   switchEvents: SwitchEvent[], collected: CollectEvent[], checkpoint: import('./levels.js').Checkpoint|null,
+ *   breaks: BreakEvent[]}}
+ *   `hole` is the center of the hole `fallenBall` fell into. `reachedGoal` is true once every
+ *   ball is docked. `goalLocked` is true while a ball rests on a goal but keys are still missing.
+ *   `checkpoint` is set when a checkpoint is reached for the first time.
+ */
+export function simulatePhysicsStep(balls, grid, level = null) {
+    const allBalls = Array.isArray(balls) ? balls : [balls];
+    allBalls.forEach(ball => ball.savePreviousPosition());
+    const rolling = allBalls.filter(ball => !ball.docked);
+    const movers = level?.movers || [];
+    updateMovers(movers);
+    const movingWalls = movers.filter(mover => mover.type === 'wall');
+    const movingHoles = movers.filter(mover => mover.type === 'hole');
+    const profile = level ? level.physics : DEFAULT_PHYSICS_PROFILE;
+    /** @type {Colliders} */
+    const colliders = {
+        movingWalls,
+        geometry: level?.geometry || EMPTY_GEOMETRY,
+        gates: level?.gates || {},
+        breakSpeed: profile.breakSpeed,
+        breaks: []
+    };
+    const paths = rolling.map(ball => {
+        ball.surface = getSurfaceAt(ball, grid);
+        if (level) {
+            applyForceFields(ball, level.fields);
+            applyForceTiles(ball, grid, level.forceTiles);
+        }
+        applyHolePull(ball, grid, movingHoles, profile);
+        return integrate(ball, grid, colliders);
+    });
+    resolveBallCollisions(allBalls);
+
+    let hole = null;
+    let fallenBall = null;
+    rolling.forEach((ball, index) => {
+        resolveWallCollisions(ball, grid, colliders);
+        clampToBounds(ball, grid);
+        const path = paths[index];
+        const last = path[path.length - 1];
+        path.push({ x0: last.x1, y0: last.y1, x1: ball.x, y1: ball.y });
+        if (!fallenBall) {
+            hole = checkHoleCollision(ball, grid, path, movingHoles, profile.holeRadius);
+            if (hole) fallenBall = ball;
+        }
+    });
+    const hitHole = fallenBall !== null;
+
+    const collected = !hitHole && level ? rolling.flatMap(ball => collectItems(ball, level.items)) : [];
+    const keysMissing = level !== null && isGoalLocked(level);
+    let goalLocked = false;
+    const docked = [];
+    if (!hitHole) {
+        rolling.forEach(ball => {
+            if (!isBallInCellType(ball, grid, CELL_TYPES.GOAL, 0.45)) return;
+            if (keysMissing) {
+                goalLocked = true;
+            } else if (dockBall(ball, allBalls)) {
+                docked.push(ball);
+            }
+        });
+    }
+    const reachedGoal = !hitHole && allBalls.every(ball => ball.docked);
+    const running = !hitHole && !reachedGoal && level;
+    const free = rolling.filter(ball => !ball.docked);
+    const switchEvents = running ? checkSwitches(allBalls, grid, level) : [];
+    const teleports = running ? free.map(ball => checkTeleport(ball, grid, level.teleporters)).filter(Boolean) : [];
+    const checkpoint = running ? free.map(ball => checkCheckpoints(ball, level)).find(Boolean) || null : null;
+    if (level) {
+        syncDoors(allBalls, grid, level.doors);
+    }
+    return {
+        hitHole,
+        hole,
+        fallenBall,
+        reachedGoal,
+        goalLocked,
+        docked,
+        teleports,
+        switchEvents,
+        collected,
+        checkpoint,
+        breaks: colliders.breaks
+    };
+}
+
+/**
+ * Whether the goal still needs keys to be collected.
+ * @param {import('./levels.js').LevelData} level
+ * @returns {boolean}
+ */
+export function isGoalLocked(level) {
+    return level.items.some(item => item.type === 'key' && !item.collected);
+}
+
+/**
+ * Marks every item the ball touches as collected.
+ * @param {BallState} ball
+ * @param {import('./levels.js').Item[]} items
+ * @returns {CollectEvent[]}
+ */
+function collectItems(ball, items) {
+    const events = [];
+    items.forEach(item => {
+        if (item.collected) return;
+        const distance = Math.hypot(ball.x - (item.col + 0.5), ball.y - (item.row + 0.5));
+        if (distance < ball.radius + ITEM_RADIUS) {
+            item.collected = true;
+            events.push({ type: item.type, col: item.col, row: item.row });
+        }
+    });
+    return events;
+}
+
+/**
+ * Snaps a ball into the goal socket under it, unless another ball already sits there.
+ * @param {BallState} ball
+ * @param {BallState[]} balls
+ * @returns {boolean} Whether the ball was docked.
+ */
+function dockBall(ball, balls) {
+    const x = Math.floor(ball.x) + 0.5;
+    const y = Math.floor(ball.y) + 0.5;
+    if (balls.some(other => other.docked && other.x === x && other.y === y)) {
+        return false;
+    }
+    ball.x = x;
+    ball.y = y;
+    ball.vx = 0;
+    ball.vy = 0;
+    ball.docked = true;
+    return true;
+}
+
+/**
+ * Separates overlapping balls and exchanges their normal velocity (equal masses).
+ * Docked balls do not move; a rolling ball bounces off them like off a wall.
+ * @param {BallState[]} balls
+ */
+function resolveBallCollisions(balls) {
+    for (let i = 0; i < balls.length; i++) {
+        for (let j = i + 1; j < balls.length; j++) {
+            const a = balls[i];
+            const b = balls[j];
+            if (a.docked && b.docked) continue;
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.hypot(dx, dy);
+            const minDistance = a.radius + b.radius;
+            if (distance >= minDistance || distance === 0) continue;
+            const nx = dx / distance;
+            const ny = dy / distance;
+            const overlap = minDistance - distance;
+            if (a.docked) {
+                b.x += nx * overlap;
+                b.y += ny * overlap;
+                bounce(b, nx, ny);
+            } else if (b.docked) {
+                a.x -= nx * overlap;
+                a.y -= ny * overlap;
+                bounce(a, -nx, -ny);
+            } else {
+                a.x -= nx * overlap / 2;
+                a.y -= ny * overlap / 2;
+                b.x += nx * overlap / 2;
+                b.y += ny * overlap / 2;
+                const approach = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+                if (approach < 0) {
+                    const impulse = -(1 + Math.min(a.restitution, b.restitution)) * approach / 2;
+                    a.vx -= impulse * nx;
+                    a.vy -= impulse * ny;
+                    b.vx += impulse * nx;
+                    b.vy += impulse * ny;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Makes the checkpoint under the ball's center the respawn point.
+ * @param {BallState} ball
+ * @param {import('./levels.js').LevelData} level
+ * @returns {import('./levels.js').Checkpoint|null} The checkpoint if it was reached for the first time.
+ */
+function checkCheckpoints(ball, level) {
+    const checkpoint = level.checkpoints[cellKey(Math.floor(ball.x), Math.floor(ball.y))];
+    if (!checkpoint) return null;
+    level.activeCheckpoint = checkpoint;
+    if (checkpoint.active) return null;
+    checkpoint.active = true;
+    return checkpoint;
+}
+
+/**
+ * Whether a grid cell blocks the ball (walls, intact fragile walls and closed doors).
+ * @param {number} cell
+ * @returns {boolean}
+ */
+function isSolidCell(cell) {
+    return cell === CELL_TYPES.WALL || cell === CELL_TYPES.FRAGILE || cell === CELL_TYPES.DOOR;
+}
+
+/**
+ * Updates switch states from the ball positions and flips linked doors.
+ * A switch is pressed while any ball's center rests on its cell.
+ * `hold` switches flip their doors on press and flip them back on release;
+ * `toggle` switches flip them on every new press.
+ *
+ * @param {BallState[]} balls
+ * @param {number[][]} grid
+ * @param {import('./levels.js').LevelData} level
+ * @returns {SwitchEvent[]}
+ */
+function checkSwitches(balls, grid, level) {
+    const events = [];
+    const ballKeys = new Set(balls.map(ball => cellKey(Math.floor(ball.x), Math.floor(ball.y))));
+    Object.entries(level.switches).forEach(([key, sw]) => {
+        const pressed = ballKeys.has(key) && grid[sw.row][sw.col] === CELL_TYPES.SWITCH;
+        if (pressed === sw.pressed) return;
+        sw.pressed = pressed;
+        if (pressed || sw.mode === 'hold') {
+            sw.doors.forEach(([col, row]) => {
+                const door = level.doors[cellKey(col, row)];
+                if (door) door.open = !door.open;
+            });
+        }
+        events.push({ col: sw.col, row: sw.row, mode: sw.mode, pressed });
+    });
+    return events;
+}
+
+/**
+ * Writes the logical door states into the grid. A closing door waits
+ * until no ball overlaps its cell, so a ball is never trapped inside.
+ *
+ * @param {BallState[]} balls
+ * @param {number[][]} grid
+ * @param {Record<string, import('./levels.js').Door>} doors
+ */
+function syncDoors(balls, grid, doors) {
+    Object.values(doors).forEach(door => {
+        if (door.open) {
+            grid[door.row][door.col] = CELL_TYPES.DOOR_OPEN;
+            return;
+        }
+        const blocked = balls.some(ball => {
+            const closestX = Math.max(door.col, Math.min(ball.x, door.col + 1));
+            const closestY = Math.max(door.row, Math.min(ball.y, door.row + 1));
+            return Math.hypot(ball.x - closestX, ball.y - closestY) < ball.radius;
+        });
+        if (!blocked) {
+            grid[door.row][door.col] = CELL_TYPES.DOOR;
+        }
+    });
+}
+
+/**
+ * Moves the ball to the partner teleporter when its center enters a teleporter cell.
+ * The velocity is kept. A cooldown plus a lock on the arrival cell prevent the
+ * ball from bouncing straight back.
+ *
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @param {Record<string, import('./levels.js').Teleporter>} teleporters
+ * @returns {TeleportEvent|null}
+ */
+function checkTeleport(ball, grid, teleporters) {
+    if (ball.teleportCooldown > 0) {
+        ball.teleportCooldown -= 1;
+    }
+    const col = Math.floor(ball.x);
+    const row = Math.floor(ball.y);
+    const key = cellKey(col, row);
+    if (ball.teleportLock && ball.teleportLock !== key) {
+        ball.teleportLock = null;
+    }
+    if (grid[row]?.[col] !== CELL_TYPES.TELEPORTER || ball.teleportCooldown > 0 || ball.teleportLock === key) {
+        return null;
+    }
+    const teleporter = teleporters[key];
+    if (!teleporter) {
+        return null;
+    }
+    const from = { x: col + 0.5, y: row + 0.5 };
+    const to = { x: teleporter.targetCol + 0.5, y: teleporter.targetRow + 0.5 };
+    // Keep the offset from the cell center so the move looks continuous.
+    ball.x = to.x + (ball.x - from.x);
+    ball.y = to.y + (ball.y - from.y);
+    ball.savePreviousPosition();
+    ball.teleportCooldown = TELEPORT_COOLDOWN_TICKS;
+    ball.teleportLock = cellKey(teleporter.targetCol, teleporter.targetRow);
+    return { from, to };
+}
+
+/**
+ * Advances every mover by one physics step along its keyframed path.
+ * The previous position is kept for swept collisions and interpolated rendering;
+ * `vx`/`vy` hold the displacement of this step.
+ * @param {import('./levels.js').Mover[]} movers
+ */
+function updateMovers(movers) {
+    movers.forEach(mover => {
+        mover.prevX = mover.x;
+        mover.prevY = mover.y;
+        mover.time += FIXED_TIMESTEP;
+        const position = sampleMoverPath(mover, mover.time);
+        mover.x = position.x;
+        mover.y = position.y;
+        mover.vx = mover.x - mover.prevX;
+        mover.vy = mover.y - mover.prevY;
+    });
+}
+
+/**
+ * Position on a mover's path at a given time. Movers travel at constant speed;
+ * `loop` paths return to the first keyframe, `pingpong` paths reverse at the ends.
+ * @param {import('./levels.js').Mover} mover
+ * @param {number} time Seconds since the level started.
+ * @returns {{x:number, y:number}}
+ */
+function sampleMoverPath(mover, time) {
+    const { points, segmentLengths, totalLength, duration, mode } = mover;
+    if (totalLength === 0 || duration <= 0) {
+        return { x: points[0][0], y: points[0][1] };
+    }
+    let phase = (time % duration) / duration;
+    if (mode === 'pingpong') {
+        phase = phase < 0.5 ? phase * 2 : (1 - phase) * 2;
+    }
+    let distance = phase * totalLength;
+    for (let i = 0; i < segmentLengths.length; i++) {
+        const length = segmentLengths[i];
+        if (distance <= length || i === segmentLengths.length - 1) {
+            const t = length === 0 ? 0 : Math.min(1, distance / length);
+            const [x0, y0] = points[i];
+            const [x1, y1] = points[i + 1];
+            return { x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t };
+        }
+        distance -= length;
+    }
+    return { x: points[0][0], y: points[0][1] };
+}
+
+/**
+ * Returns the surface under the ball's center, or null for plain floor.
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @returns {import('./levels.js').Surface|null}
+ */
+function getSurfaceAt(ball, grid) {
+    const row = grid[Math.floor(ball.y)];
+    const cell = row ? row[Math.floor(ball.x)] : undefined;
+    return SURFACE_BY_CELL_TYPE.get(cell) || null;
+}
+
+/**
+ * Pushes the ball along booster and conveyor tiles it overlaps.
+ * Each tile contributes in proportion to how much of the ball's bounding
+ * box lies on it, so the push fades in and out smoothly at tile edges.
+ *
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @param {Record<string, import('./levels.js').ForceTile>} forceTiles
+ */
+function applyForceTiles(ball, grid, forceTiles) {
+    const r = ball.radius;
+    const area = (2 * r) * (2 * r);
+    const cellCol = Math.floor(ball.x);
+    const cellRow = Math.floor(ball.y);
+    for (let row = cellRow - 1; row <= cellRow + 1; row++) {
+        for (let col = cellCol - 1; col <= cellCol + 1; col++) {
+            const cell = grid[row]?.[col];
+            if (cell !== CELL_TYPES.BOOSTER && cell !== CELL_TYPES.CONVEYOR) continue;
+            const tile = forceTiles[cellKey(col, row)];
+            if (!tile) continue;
+            const overlapX = Math.min(ball.x + r, col + 1) - Math.max(ball.x - r, col);
+            const overlapY = Math.min(ball.y + r, row + 1) - Math.max(ball.y - r, row);
+            if (overlapX <= 0 || overlapY <= 0) continue;
+            const weight = (overlapX * overlapY) / area;
+            ball.vx += tile.dx * tile.strength * weight;
+            ball.vy += tile.dy * tile.strength * weight;
+        }
+    }
+}
+
+/**
+ * Adds the pull/push of every force field acting on the ball's center.
+ * Radial fields fade out linearly towards their radius. Unlike boosters, fields
+ * respect the ball's `maxSpeed`, so they bend its path instead of launching it.
+ *
+ * @param {BallState} ball
+ * @param {import('./levels.js').ForceField[]} fields
+ */
+function applyForceFields(ball, fields) {
+    if (fields.length === 0) return;
+    let pushed = false;
+    fields.forEach(field => {
+        if (field.type === 'wind') {
+            if (ball.x < field.left || ball.x > field.right || ball.y < field.top || ball.y > field.bottom) return;
+            ball.vx += field.dx * field.strength;
+            ball.vy += field.dy * field.strength;
+            pushed = true;
+            return;
+        }
+        const dx = field.x - ball.x;
+        const dy = field.y - ball.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= field.radius || distance === 0) return;
+        const sign = field.type === 'attractor' ? 1 : -1;
+        const force = sign * field.strength * (1 - distance / field.radius);
+        ball.vx += (dx / distance) * force;
+        ball.vy += (dy / distance) * force;
+        pushed = true;
+    });
+    if (pushed) {
+        ball.clampSpeed();
+    }
+}
+
+/**
+ * Pulls the ball towards the center of every hole within `holePullRadius`.
+ * The pull grows quadratically as the ball approaches the rim, so a slow ball
+ * near the edge gets sucked in while a fast one can still skim past.
+ *
  * @param {BallState} ball
  * @param {number[][]} grid
- * @returns {{hitHole: boolean, reachedGoal: boolean}}
+ * @param {import('./levels.js').Mover[]} movingHoles
+ * @param {import('./levels.js').PhysicsProfile} profile
+ */
+function applyHolePull(ball, grid, movingHoles, profile) {
+    const { holeRadius, holePullRadius, holePullStrength } = profile;
+    if (holePullStrength <= 0 || holePullRadius <= holeRadius) return;
+    const centers = [];
+    const reach = Math.ceil(holePullRadius);
+    const cellCol = Math.floor(ball.x);
+    const cellRow = Math.floor(ball.y);
+    for (let row = cellRow - reach; row <= cellRow + reach; row++) {
+        for (let col = cellCol - reach; col <= cellCol + reach; col++) {
+            if (grid[row]?.[col] === CELL_TYPES.HOLE) {
+                centers.push([col + 0.5, row + 0.5]);
+            }
+        }
+    }
+    movingHoles.forEach(hole => centers.push([hole.x + 0.5, hole.y + 0.5]));
+    centers.forEach(([cx, cy]) => {
+        const dx = cx - ball.x;
+        const dy = cy - ball.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= holePullRadius || distance === 0) return;
+        const closeness = Math.min(1, (holePullRadius - distance) / (holePullRadius - holeRadius));
+        const pull = holePullStrength * closeness * closeness;
+        ball.vx += (dx / distance) * pull;
+        ball.vy += (dy / distance) * pull;
+    });
+}
+
+/**
+ * Applies friction and moves the ball along its velocity using swept
+ * (continuous) collision detection against wall cells, gates, moving wall blocks
+ * and free-form geometry.
+ *
+ * Instead of moving first and fixing overlaps afterwards, the path of travel
+ * is tested for the first contact with any wall. The ball stops at that
+ * contact, bounces, and continues with the remaining part of the step.
+ * This way no speed or step size lets the ball tunnel through a wall corner.
+ * Moving walls are swept in their own frame of reference (relative motion),
+ * and their velocity is transferred to the ball on impact.
+ * A fragile wall hit faster than `breakSpeed` shatters: its cell becomes EMPTY and
+ * the ball carries on through it with part of its speed.
+ *
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @param {Colliders} colliders
+ * @returns {PathSegment[]} The traveled path (at least one segment).
+ */
+function integrate(ball, grid, colliders) {
+    ball.applyFriction();
+    const path = [];
+    const hasMovingWalls = colliders.movingWalls.some(mover => mover.vx !== 0 || mover.vy !== 0);
+    let remaining = 1;
+    for (let i = 0; i < MAX_SWEEP_ITERATIONS && remaining > 0; i++) {
+        const dx = ball.vx * remaining;
+        const dy = ball.vy * remaining;
+        if (dx === 0 && dy === 0 && !hasMovingWalls) break;
+        const x0 = ball.x;
+        const y0 = ball.y;
+        const hit = findFirstWallContact(ball, grid, dx, dy, colliders, 1 - remaining, remaining);
+        if (!hit) {
+            ball.x += dx;
+            ball.y += dy;
+            path.push({ x0, y0, x1: ball.x, y1: ball.y });
+            break;
+        }
+        ball.x += dx * hit.t + hit.nx * CONTACT_SKIN;
+        ball.y += dy * hit.t + hit.ny * CONTACT_SKIN;
+        path.push({ x0, y0, x1: ball.x, y1: ball.y });
+        const dot = ball.vx * hit.nx + ball.vy * hit.ny;
+        if (hit.fragile && -dot >= colliders.breakSpeed) {
+            const { col, row } = hit.fragile;
+            grid[row][col] = CELL_TYPES.EMPTY;
+            colliders.breaks.push({ col, row, speed: -dot });
+            ball.vx -= (1 - BREAK_SPEED_KEPT) * dot * hit.nx;
+            ball.vy -= (1 - BREAK_SPEED_KEPT) * dot * hit.ny;
+        } else {
+            bounce(ball, hit.nx, hit.ny, hit.vx, hit.vy, hit.restitution ?? ball.restitution);
+        }
+        remaining *= 1 - hit.t;
+    }
+    if (path.length === 0) {
+        path.push({ x0: ball.x, y0: ball.y, x1: ball.x, y1: ball.y });
+    }
+    return path;
+}
+
+/**
+ * Reflects the ball's velocity relative to a (possibly moving) surface,
+ * keeping `restitution` of the normal component.
+ * @param {BallState} ball
+ * @param {number} nx Contact normal (pointing towards the ball).
+ * @param {number} ny
+ * @param {number} [surfaceVx] Velocity of the surface per physics tick.
+ * @param {number} [surfaceVy]
+ * @param {number} [restitution] Defaults to `ball.restitution`; bumpers use their own.
+ */
+function bounce(ball, nx, ny, surfaceVx = 0, surfaceVy = 0, restitution = ball.restitution) {
+    const dot = (ball.vx - surfaceVx) * nx + (ball.vy - surfaceVy) * ny;
+    if (dot < 0) {
+        ball.vx -= (1 + restitution) * dot * nx;
+        ball.vy -= (1 + restitution) * dot * ny;
+    }
+}
+
+/**
+ * Finds the earliest contact of the moving ball with a solid cell, the blocked side
+ * of a one-way gate, a moving wall block or a free-form collider.
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @param {number} dx Displacement along x for this sweep.
+ * @param {number} dy Displacement along y for this sweep.
+ * @param {Colliders} colliders
+ * @param {number} elapsed Fraction of the physics step already simulated.
+ * @param {number} remaining Fraction of the physics step covered by this sweep.
+ * @returns {{t:number, nx:number, ny:number, vx:number, vy:number, restitution?:number|null,
+ *   fragile?:{col:number, row:number}}|null} Fraction of the displacement until contact, the contact
+ *   normal, the velocity of the surface hit, its bounciness override (if any) and the cell if it is fragile.
+ */
+function findFirstWallContact(ball, grid, dx, dy, { movingWalls, geometry, gates }, elapsed, remaining) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const r = ball.radius;
+    const minCol = Math.max(0, Math.floor(Math.min(ball.x, ball.x + dx) - r));
+    const maxCol = Math.min(cols - 1, Math.floor(Math.max(ball.x, ball.x + dx) + r));
+    const minRow = Math.max(0, Math.floor(Math.min(ball.y, ball.y + dy) - r));
+    const maxRow = Math.min(rows - 1, Math.floor(Math.max(ball.y, ball.y + dy) + r));
+    let best = null;
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            const gate = grid[row][col] === CELL_TYPES.GATE ? gates[cellKey(col, row)] : null;
+            if (!gate && !isSolidCell(grid[row][col])) continue;
+            const hit = sweepCircleAgainstBox(ball.x, ball.y, dx, dy, r, col, row, col + 1, row + 1);
+            // Gates only block a ball coming from the side they point to.
+            if (hit && gate && hit.nx * gate.dx + hit.ny * gate.dy <= 0) continue;
+            if (hit && (!best || hit.t < best.t)) {
+                best = { ...hit, vx: 0, vy: 0 };
+                if (grid[row][col] === CELL_TYPES.FRAGILE) {
+                    best.fragile = { col, row };
+                }
+            }
+        }
+    }
+    movingWalls.forEach(mover => {
+        const left = mover.prevX + (mover.x - mover.prevX) * elapsed;
+        const top = mover.prevY + (mover.y - mover.prevY) * elapsed;
+        const relDx = dx - mover.vx * remaining;
+        const relDy = dy - mover.vy * remaining;
+        if (relDx === 0 && relDy === 0) return;
+        const hit = sweepCircleAgainstBox(ball.x, ball.y, relDx, relDy, r, left, top, left + mover.width, top + mover.height);
+        if (hit && (!best || hit.t < best.t)) {
+            best = { ...hit, vx: mover.vx, vy: mover.vy };
+        }
+    });
+    geometry.segments.forEach(segment => {
+        const hit = sweepCircleAgainstSegment(ball.x, ball.y, dx, dy, r, segment);
+        if (hit && (!best || hit.t < best.t)) {
+            best = { ...hit, vx: 0, vy: 0, restitution: segment.restitution };
+        }
+    });
+    geometry.circles.forEach(circle => {
+        const hit = rayCircleEntry(ball.x, ball.y, dx, dy, circle.x, circle.y, circle.radius + r);
+        if (hit && (!best || hit.t < best.t)) {
+            best = { ...hit, vx: 0, vy: 0, restitution: circle.restitution };
+        }
+    });
+    return best;
+}
+
+/**
+ * Time of impact of a moving circle with a capsule (a segment grown by its radius).
+ *
+ * Like {@link sweepCircleAgainstBox}, the circle is reduced to a point: the capsule grows
+ * by the ball radius into two parallel edges plus two end circles.
+ * Starting overlaps are ignored here; {@link resolveWallCollisions} handles them.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} r Ball radius.
+ * @param {import('./levels.js').SegmentCollider} segment
+ * @returns {{t:number, nx:number, ny:number}|null}
+ */
+function sweepCircleAgainstSegment(x, y, dx, dy, r, segment) {
+    const { x0, y0, x1, y1 } = segment;
+    const radius = segment.radius + r;
+    let best = null;
+    const consider = (hit) => {
+        if (hit && (!best || hit.t < best.t)) {
+            best = hit;
+        }
+    };
+    consider(rayCircleEntry(x, y, dx, dy, x0, y0, radius));
+    consider(rayCircleEntry(x, y, dx, dy, x1, y1, radius));
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    if (length === 0) {
+        return best;
+    }
+    const ux = (x1 - x0) / length;
+    const uy = (y1 - y0) / length;
+    [1, -1].forEach(side => {
+        const nx = -uy * side;
+        const ny = ux * side;
+        const distance = (x - x0) * nx + (y - y0) * ny - radius;
+        const approach = dx * nx + dy * ny;
+        if (distance < 0 || approach >= 0) return;
+        const t = distance / -approach;
+        if (t > 1) return;
+        const along = (x + dx * t - x0) * ux + (y + dy * t - y0) * uy;
+        if (along >= 0 && along <= length) {
+            consider({ t, nx, ny });
+        }
+    });
+    return best;
+}
+
+/**
+ * Time of impact of a moving circle with an axis-aligned box.
+ *
+ * The circle is reduced to a point by growing the box by the radius
+ * (Minkowski sum): a rounded rectangle made of two boxes and four corner circles.
+ * The earliest entry into any of these parts is the first contact.
+ * Starting overlaps are ignored here; {@link resolveWallCollisions} handles them.
+ *
+ * @returns {{t:number, nx:number, ny:number}|null}
  */
-export function simulatePhysicsStep(ball, grid) {
-    ball.integrate();
-    resolveWallCollisions(ball, grid);
-    clampToBounds(ball, grid);
-    const hitHole = checkHoleCollision(ball, grid);
-    const reachedGoal = !hitHole && isBallInCellType(ball, grid, CELL_TYPES.GOAL, 0.45);
-    return { hitHole, reachedGoal };
+function sweepCircleAgainstBox(x, y, dx, dy, r, left, top, right, bottom) {
+    const parts = [
+        rayBoxEntry(x, y, dx, dy, left - r, top, right + r, bottom),
+        rayBoxEntry(x, y, dx, dy, left, top - r, right, bottom + r),
+        rayCircleEntry(x, y, dx, dy, left, top, r),
+        rayCircleEntry(x, y, dx, dy, right, top, r),
+        rayCircleEntry(x, y, dx, dy, left, bottom, r),
+        rayCircleEntry(x, y, dx, dy, right, bottom, r)
+    ];
+    let best = null;
+    parts.forEach(hit => {
+        if (hit && (!best || hit.t < best.t)) {
+            best = hit;
+        }
+    });
+    return best;
 }
 
-function resolveWallCollisions(ball, grid) {
+/**
+ * Entry of the ray p + t*d (t in [0, 1]) into an axis-aligned box (slab method).
+ * @returns {{t:number, nx:number, ny:number}|null} null when missing or starting inside.
+ */
+function rayBoxEntry(x, y, dx, dy, minX, minY, maxX, maxY) {
+    if (x > minX && x < maxX && y > minY && y < maxY) {
+        return null;
+    }
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let nx = 0;
+    let ny = 0;
+    if (dx === 0) {
+        if (x < minX || x > maxX) return null;
+    } else {
+        const t1 = (minX - x) / dx;
+        const t2 = (maxX - x) / dx;
+        const near = Math.min(t1, t2);
+        if (near > tEnter) {
+            tEnter = near;
+            nx = dx > 0 ? -1 : 1;
+            ny = 0;
+        }
+        tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+    if (dy === 0) {
+        if (y < minY || y > maxY) return null;
+    } else {
+        const t1 = (minY - y) / dy;
+        const t2 = (maxY - y) / dy;
+        const near = Math.min(t1, t2);
+        if (near > tEnter) {
+            tEnter = near;
+            nx = 0;
+            ny = dy > 0 ? -1 : 1;
+        }
+        tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+    if (tEnter < 0 || tEnter > 1 || tEnter > tExit) {
+        return null;
+    }
+    return { t: tEnter, nx, ny };
+}
+
+/**
+ * Entry of the ray p + t*d (t in [0, 1]) into a circle.
+ * @returns {{t:number, nx:number, ny:number}|null} null when missing, moving away or starting inside.
+ */
+function rayCircleEntry(x, y, dx, dy, cx, cy, radius) {
+    const mx = x - cx;
+    const my = y - cy;
+    const c = mx * mx + my * my - radius * radius;
+    const b = mx * dx + my * dy;
+    if (c < 0 || b >= 0) {
+        return null;
+    }
+    const a = dx * dx + dy * dy;
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) {
+        return null;
+    }
+    const t = (-b - Math.sqrt(discriminant)) / a;
+    if (t < 0 || t > 1) {
+        return null;
+    }
+    return {
+        t,
+        nx: (mx + dx * t) / radius,
+        ny: (my + dy * t) / radius
+    };
+}
+
+/**
+ * Pushes the ball out of any wall cell, moving wall block or free-form collider it
+ * still overlaps (resting contacts, or a block that moved into the ball).
+ * Gates only push back a ball whose center is on their blocked side; a ball
+ * that is already passing through is left alone.
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @param {Colliders} colliders
+ */
+function resolveWallCollisions(ball, grid, { movingWalls, geometry, gates }) {
     const rows = grid.length;
     const cols = grid[0].length;
     const cellCol = Math.floor(ball.x);
@@ -110,36 +994,72 @@ function resolveWallCollisions(ball, grid) {
     for (let row = cellRow - 1; row <= cellRow + 1; row++) {
         for (let col = cellCol - 1; col <= cellCol + 1; col++) {
             if (row >= 0 && row < rows && col >= 0 && col < cols) {
-                if (grid[row][col] === CELL_TYPES.WALL) {
+                if (isSolidCell(grid[row][col])) {
                     candidates.push({ row, col });
+                } else if (grid[row][col] === CELL_TYPES.GATE) {
+                    const gate = gates[cellKey(col, row)];
+                    const side = gate ? (ball.x - col - 0.5) * gate.dx + (ball.y - row - 0.5) * gate.dy : 0;
+                    if (side >= 0.5) {
+                        candidates.push({ row, col });
+                    }
                 }
             }
         }
     }
 
     candidates.forEach(cell => {
-        const left = cell.col;
-        const right = cell.col + 1;
-        const top = cell.row;
-        const bottom = cell.row + 1;
-        const closestX = Math.max(left, Math.min(ball.x, right));
-        const closestY = Math.max(top, Math.min(ball.y, bottom));
-        const dx = ball.x - closestX;
-        const dy = ball.y - closestY;
-        const distance = Math.hypot(dx, dy);
-        if (distance < ball.radius && distance !== 0) {
-            const overlap = ball.radius - distance;
-            const nx = dx / distance;
-            const ny = dy / distance;
-            ball.x += nx * overlap;
-            ball.y += ny * overlap;
-            const dot = ball.vx * nx + ball.vy * ny;
-            if (dot < 0) {
-                ball.vx -= 1.8 * dot * nx;
-                ball.vy -= 1.8 * dot * ny;
-            }
-        }
+        pushOutOfBox(ball, cell.col, cell.row, cell.col + 1, cell.row + 1, 0, 0);
+    });
+    movingWalls.forEach(mover => {
+        pushOutOfBox(ball, mover.x, mover.y, mover.x + mover.width, mover.y + mover.height, mover.vx, mover.vy);
+    });
+    geometry.segments.forEach(segment => {
+        const { x0, y0, x1, y1 } = segment;
+        const lengthSq = (x1 - x0) ** 2 + (y1 - y0) ** 2;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((ball.x - x0) * (x1 - x0) + (ball.y - y0) * (y1 - y0)) / lengthSq));
+        pushOutOfPoint(ball, x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, segment.radius, segment.restitution);
     });
+    geometry.circles.forEach(circle => {
+        pushOutOfPoint(ball, circle.x, circle.y, circle.radius, circle.restitution);
+    });
+}
+
+/**
+ * Resolves the overlap between the ball and a round collider part (a capsule's
+ * closest point or a bumper) and bounces the ball off it.
+ */
+function pushOutOfPoint(ball, px, py, radius, restitution) {
+    const dx = ball.x - px;
+    const dy = ball.y - py;
+    const distance = Math.hypot(dx, dy);
+    const minDistance = radius + ball.radius;
+    if (distance < minDistance && distance !== 0) {
+        const nx = dx / distance;
+        const ny = dy / distance;
+        ball.x += nx * (minDistance - distance);
+        ball.y += ny * (minDistance - distance);
+        bounce(ball, nx, ny, 0, 0, restitution ?? ball.restitution);
+    }
+}
+
+/**
+ * Resolves the overlap between the ball and one box and bounces the ball
+ * relative to the box velocity.
+ */
+function pushOutOfBox(ball, left, top, right, bottom, boxVx, boxVy) {
+    const closestX = Math.max(left, Math.min(ball.x, right));
+    const closestY = Math.max(top, Math.min(ball.y, bottom));
+    const dx = ball.x - closestX;
+    const dy = ball.y - closestY;
+    const distance = Math.hypot(dx, dy);
+    if (distance < ball.radius && distance !== 0) {
+        const overlap = ball.radius - distance;
+        const nx = dx / distance;
+        const ny = dy / distance;
+        ball.x += nx * overlap;
+        ball.y += ny * overlap;
+        bounce(ball, nx, ny, boxVx, boxVy);
+    }
 }
 
 function clampToBounds(ball, grid) {
@@ -151,30 +1071,81 @@ function clampToBounds(ball, grid) {
     ball.y = Math.max(minY, Math.min(maxY, ball.y));
 }
 
-function checkHoleCollision(ball, grid) {
+/**
+ * Checks the traveled path for the first point where the ball's center
+ * crosses the rim of a hole (hole cells and moving holes at their current position).
+ * Overlapping the rim is not enough to fall; the pull in {@link applyHolePull}
+ * decides whether the ball gets dragged over it.
+ * If the ball crossed a rim during the step, it is moved back to that point,
+ * so a fast ball cannot fly over a hole between two steps.
+ *
+ * @param {BallState} ball
+ * @param {number[][]} grid
+ * @param {PathSegment[]} path
+ * @param {import('./levels.js').Mover[]} movingHoles
+ * @param {number} holeRadius
+ * @returns {{x:number, y:number}|null} Center of the hole the ball fell into.
+ */
+function checkHoleCollision(ball, grid, path, movingHoles, holeRadius) {
     const rows = grid.length;
     const cols = grid[0].length;
-    const cellRow = Math.floor(ball.y);
-    const cellCol = Math.floor(ball.x);
-    const holeRadius = 0.35;
-    const checkRadius = holeRadius + ball.radius;
-    for (let row = cellRow - 1; row <= cellRow + 1; row++) {
-        for (let col = cellCol - 1; col <= cellCol + 1; col++) {
-            if (row >= 0 && row < rows && col >= 0 && col < cols) {
+    const checkRadius = holeRadius;
+    for (const segment of path) {
+        const minCol = Math.max(0, Math.floor(Math.min(segment.x0, segment.x1) - checkRadius));
+        const maxCol = Math.min(cols - 1, Math.floor(Math.max(segment.x0, segment.x1) + checkRadius));
+        const minRow = Math.max(0, Math.floor(Math.min(segment.y0, segment.y1) - checkRadius));
+        const maxRow = Math.min(rows - 1, Math.floor(Math.max(segment.y0, segment.y1) + checkRadius));
+        let firstT = Infinity;
+        let firstHole = null;
+        const consider = (cx, cy) => {
+            const t = segmentCircleEntry(segment, cx, cy, checkRadius);
+            if (t !== null && t < firstT) {
+                firstT = t;
+                firstHole = { x: cx, y: cy };
+            }
+        };
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
                 if (grid[row][col] === CELL_TYPES.HOLE) {
-                    const centerX = col + 0.5;
-                    const centerY = row + 0.5;
-                    const dx = ball.x - centerX;
-                    const dy = ball.y - centerY;
-                    const distance = Math.hypot(dx, dy);
-                    if (distance < checkRadius) {
-                        return true;
-                    }
+                    consider(col + 0.5, row + 0.5);
                 }
             }
         }
+        movingHoles.forEach(hole => consider(hole.x + 0.5, hole.y + 0.5));
+        if (firstHole) {
+            ball.x = segment.x0 + (segment.x1 - segment.x0) * firstT;
+            ball.y = segment.y0 + (segment.y1 - segment.y0) * firstT;
+            return firstHole;
+        }
+    }
+    return null;
+}
+
+/**
+ * First parameter t in [0, 1] where a path segment is strictly inside a circle.
+ * @param {PathSegment} segment
+ * @returns {number|null} 0 when the segment starts inside, null when it never enters.
+ */
+function segmentCircleEntry(segment, cx, cy, radius) {
+    const dx = segment.x1 - segment.x0;
+    const dy = segment.y1 - segment.y0;
+    const mx = segment.x0 - cx;
+    const my = segment.y0 - cy;
+    const c = mx * mx + my * my - radius * radius;
+    if (c < 0) {
+        return 0;
+    }
+    const a = dx * dx + dy * dy;
+    const b = mx * dx + my * dy;
+    if (a === 0 || b >= 0) {
+        return null;
+    }
+    const discriminant = b * b - a * c;
+    if (discriminant <= 0) {
+        return null;
     }
-    return false;
+    const t = (-b - Math.sqrt(discriminant)) / a;
+    return t <= 1 ? t : null;
 }
 
 function isBallInCellType(ball, grid, type, radiusFactor) {
@@ -5,14 +5,129 @@
  * Rendering is intentionally kept separate from physics and UI logic.
  * The renderer draws:
  * - Board background + grid
- * - Walls, holes, and the goal tile
- * - The ball (with subtle shading)
+ * - Surface floors (ice, mud, sand)
+ * - Booster and conveyor tiles with animated arrows
+ * - Force fields (magnets, repulsors, wind zones) as subtle drifting particles
+ * - Teleporter portals, switches and doors
+ * - Checkpoint flags (lit once reached)
+ * - One-way gates with animated chevrons
+ * - Gems, keys and the locked/unlocked goal
+ * - Short-lived effects (teleport, switch, pickup and checkpoint flashes, wall debris)
+ * - Moving walls/holes at positions interpolated between physics steps
+ * - Walls (fragile ones cracked), holes, and the goal tile
+ * - Free-form walls: angled segments, polygons, bumpers and curved rails
+ * - The balls (with subtle shading; one color per ball in multi-ball levels)
+ * - An optional minimap of the whole maze for levels larger than the view
  *
  * The canvas automatically resizes to its container and compensates for
- * devicePixelRatio for crisp visuals on high-DPI screens.
+ * devicePixelRatio for crisp visuals on high-DPI screens. With the camera enabled,
+ * levels whose cells would shrink below {@link MIN_CELL_SIZE} are drawn at that size
+ * instead and scrolled: the camera follows the ball, looking ahead in the direction
+ * it travels, and only the visible cells are drawn.
  */
 
-import { CELL_TYPES } from './constants.js';
+import { CELL_TYPES, DEFAULT_PHYSICS_PROFILE, MAX_FRAME_TIME } from './constants.js';
+import { cellKey } from './levels.js';
+import { isGoalLocked } from './physics.js';
+
+/** Portal colors, one per teleporter pair (cycled). */
+const TELEPORTER_COLORS = ['#9b59b6', '#1abc9c', '#e67e22', '#e84393'];
+
+/** Switch/door colors, one per switch group (cycled). Values are "r, g, b" for rgba(). */
+const SWITCH_COLORS = ['41, 128, 185', '211, 84, 0', '22, 160, 133', '142, 68, 173'];
+
+/** Ball colors (fill, outline), one per ball in multi-ball levels (cycled). */
+const BALL_COLORS = [['#3498db', '#2980b9'], ['#e67e22', '#d35400'], ['#9b59b6', '#8e44ad'], ['#1abc9c', '#16a085']];
+
+/** Lifetime of a teleport flash in animation time units. */
+const TELEPORT_EFFECT_DURATION = 0.4;
+
+/** Lifetime of a switch flash in animation time units. */
+const SWITCH_EFFECT_DURATION = 0.3;
+
+/** Lifetime of a pickup flash in animation time units. */
+const COLLECT_EFFECT_DURATION = 0.3;
+
+/** Lifetime of a checkpoint flash (reached or respawned) in animation time units. */
+const CHECKPOINT_EFFECT_DURATION = 0.5;
+
+/** Lifetime of the debris of a shattered wall in animation time units. */
+const DEBRIS_EFFECT_DURATION = 0.6;
+
+/** Number of shards flying off a shattered wall. */
+const DEBRIS_SHARDS = 10;
+
+/** Smallest cell size (CSS pixels) before a camera-enabled renderer scrolls instead of shrinking the board. */
+const MIN_CELL_SIZE = 24;
+
+/**
+ * Frame rate the per-frame smoothing factors below are given for; other frame rates are
+ * converted (see {@link smoothingFactor}) so the camera behaves the same on every display.
+ */
+const REFERENCE_FRAME_RATE = 60;
+
+/** Units `animationTime` advances per second (0.015 per frame at 60 fps, as the animations are tuned). */
+const ANIMATION_SPEED = 0.9;
+
+/** Share of the remaining distance the camera moves towards its target per reference frame. */
+const CAMERA_SMOOTHING = 0.12;
+
+/** How quickly the tracked ball velocity follows the actual movement (0..1 per reference frame). */
+const CAMERA_VELOCITY_SMOOTHING = 0.1;
+
+/** Look-ahead: the camera aims where the ball will be in this many seconds at its current velocity. */
+const CAMERA_LOOK_AHEAD_TIME = 0.5;
+
+/** Largest look-ahead offset as a share of the visible width/height. */
+const CAMERA_MAX_LOOK_AHEAD = 0.3;
+
+/** A ball moving more than this many cells in one frame was teleported or respawned: the camera cuts. */
+const CAMERA_CUT_DISTANCE = 2;
+
+/** Minimap size as a share of the shorter canvas side. */
+const MINIMAP_SIZE = 0.3;
+
+/** Gap between the minimap and the canvas edge (CSS pixels). */
+const MINIMAP_MARGIN = 8;
+
+/**
+ * Deterministic pseudo-random value in [0, 1) for a cell (used for textures).
+ */
+function cellHash(col, row, salt) {
+    const n = Math.sin(col * 127.1 + row * 311.7 + salt * 74.7) * 43758.5453;
+    return n - Math.floor(n);
+}
+
+/**
+ * Smoothing factor for a frame of `dt` seconds that has the same effect as applying
+ * `factorPerFrame` once per {@link REFERENCE_FRAME_RATE} frame.
+ */
+function smoothingFactor(factorPerFrame, dt) {
+    return 1 - Math.pow(1 - factorPerFrame, dt * REFERENCE_FRAME_RATE);
+}
+
+/**
+ * Bounding box (in cells) of a free-form wall, including its stroke.
+ * @param {import('./levels.js').RawShape} shape
+ * @returns {{left:number, top:number, right:number, bottom:number}}
+ */
+function shapeBounds(shape) {
+    if (shape.type === 'bumper' || shape.type === 'arc') {
+        const [cx, cy] = shape.center;
+        const reach = shape.radius + (shape.thickness ?? 0.2);
+        return { left: cx - reach, top: cy - reach, right: cx + reach, bottom: cy + reach };
+    }
+    const points = shape.type === 'polygon' ? shape.points : [shape.from, shape.to];
+    const reach = shape.type === 'polygon' ? 0.1 : (shape.thickness ?? 0.2);
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return {
+        left: Math.min(...xs) - reach,
+        top: Math.min(...ys) - reach,
+        right: Math.max(...xs) + reach,
+        bottom: Math.max(...ys) + reach
+    };
+}
 
 /**
  * Responsible for all drawing on the <canvas>.
@@ -20,8 +135,13 @@ import { CELL_TYPES } from './constants.js';
 export class Renderer {
     /**
      * @param {string} canvasId DOM id of the <canvas> element.
+     * @param {Object} [options]
+     * @param {boolean} [options.camera=false] Scroll large levels with a following camera instead of
+     *   shrinking them to fit (the level editor always shows the whole board).
+     * @param {(scrolling:boolean)=>void} [options.onScrollChange] Called when the level starts or stops
+     *   scrolling, e.g. after loading a level or resizing the window.
      */
-    constructor(canvasId) {
+    constructor(canvasId, { camera = false, onScrollChange = () => {} } = {}) {
         this.canvas = document.getElementById(canvasId);
         if (!this.canvas) {
             throw new Error(`Canvas with id "${canvasId}" not found.`);
@@ -29,7 +149,18 @@ export class Renderer {
         this.ctx = this.canvas.getContext('2d');
         this.level = null;
         this.cellSize = 40;
+        this.dpr = 1;
         this.animationTime = 0;
+        this.lastRenderTime = null; // performance.now() of the previous frame, for the frame delta
+        this.effects = [];
+        this.cameraEnabled = camera;
+        this.onScrollChange = onScrollChange;
+        this.scrolling = false;
+        // Position (top-left corner) and size of the view in cells, plus the followed point and its velocity (cells/s).
+        this.camera = { x: 0, y: 0, width: 0, height: 0, focusX: 0, focusY: 0, vx: 0, vy: 0, snap: true };
+        this.visibleCells = { left: 0, top: 0, right: 0, bottom: 0 };
+        this.minimapVisible = false;
+        this.minimapCache = null;
         window.addEventListener('resize', () => this.resizeCanvas());
     }
 
@@ -39,13 +170,25 @@ export class Renderer {
      */
     configureLevel(level) {
         this.level = level;
+        this.effects = [];
+        this.camera.snap = true;
         this.resizeCanvas();
         this.renderPlaceholder();
     }
 
+    /**
+     * Shows or hides the minimap; it is only drawn while the level scrolls.
+     * @param {boolean} visible
+     */
+    setMinimapVisible(visible) {
+        this.minimapVisible = visible;
+    }
+
     /**
      * Resizes the canvas to match the container while preserving aspect ratio.
-     * Uses devicePixelRatio scaling so graphics stay sharp.
+     * Uses devicePixelRatio scaling so graphics stay sharp. With the camera enabled, a level
+     * that would need cells smaller than {@link MIN_CELL_SIZE} keeps that cell size and the
+     * canvas fills the container, showing part of the board.
      */
     resizeCanvas() {
         if (!this.level) return;
@@ -55,9 +198,10 @@ export class Renderer {
         const padding = isMobile ? 0 : 20;
         const maxWidth = Math.max(200, rect.width - padding);
         const maxHeight = Math.max(200, rect.height - padding);
-        const scale = Math.min(maxWidth / this.level.width, maxHeight / this.level.height);
-        const canvasWidth = this.level.width * scale;
-        const canvasHeight = this.level.height * scale;
+        const fitScale = Math.min(maxWidth / this.level.width, maxHeight / this.level.height);
+        const scale = this.cameraEnabled ? Math.max(fitScale, MIN_CELL_SIZE) : fitScale;
+        const canvasWidth = Math.min(this.level.width * scale, maxWidth);
+        const canvasHeight = Math.min(this.level.height * scale, maxHeight);
         const dpr = window.devicePixelRatio || 1;
         this.canvas.width = canvasWidth * dpr;
         this.canvas.height = canvasHeight * dpr;
@@ -65,94 +209,864 @@ export class Renderer {
         this.canvas.style.height = `${canvasHeight}px`;
         this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
         this.cellSize = scale;
+        this.dpr = dpr;
+        this.camera.width = canvasWidth / scale;
+        this.camera.height = canvasHeight / scale;
+        this.minimapCache = null;
+
+        const scrolling = scale > fitScale;
+        if (scrolling !== this.scrolling) {
+            this.scrolling = scrolling;
+            this.onScrollChange(scrolling);
+        }
     }
 
     /**
-     * Draws one full frame (background, obstacles, goal, ball).
-     * @param {Object} ball Current ball state (x, y, radius).
+     * Draws one full frame (background, obstacles, goals, balls).
+     * @param {Array<{x:number, y:number, radius:number}>} balls Current ball positions; the order picks the ball colors.
+     * @param {number} [alpha=1] Fraction of a physics step since the last step, used to
+     *   interpolate moving obstacles between their previous and current position.
      */
-    render(ball) {
+    render(balls, alpha = 1) {
         if (!this.level) return;
-        this.animationTime += 0.015;
+        const now = performance.now();
+        const dt = this.lastRenderTime === null ? 0 : Math.min((now - this.lastRenderTime) / 1000, MAX_FRAME_TIME);
+        this.lastRenderTime = now;
+        this.animationTime += dt * ANIMATION_SPEED;
+        this.updateCamera(balls, dt);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.save();
+        // Whole device pixels keep grid lines and wall edges crisp while the camera pans.
+        const offsetX = Math.round(this.camera.x * this.cellSize * this.dpr) / this.dpr;
+        const offsetY = Math.round(this.camera.y * this.cellSize * this.dpr) / this.dpr;
+        this.ctx.translate(-offsetX, -offsetY);
         this.drawBoardBase();
         this.drawMaze();
+        this.drawFields();
+        this.drawGeometry();
         this.drawHoles();
+        this.drawMovers(alpha);
+        this.drawItems();
         this.drawGoal();
-        this.drawBall(ball);
+        balls.forEach((ball, index) => this.drawBall(ball, index));
+        this.drawEffects();
+        this.ctx.restore();
+        if (this.minimapVisible && this.scrolling) {
+            this.drawMinimap(balls);
+        }
+    }
+
+    /**
+     * Moves the camera towards the balls (their average position in multi-ball levels),
+     * offset in the direction they travel, and updates the range of visible cells.
+     * Without scrolling the camera stays at the board origin.
+     * @param {Array<{x:number, y:number}>} balls
+     * @param {number} dt Seconds since the previous frame.
+     */
+    updateCamera(balls, dt) {
+        const camera = this.camera;
+        if (balls.length > 0) {
+            const focusX = balls.reduce((sum, ball) => sum + ball.x, 0) / balls.length;
+            const focusY = balls.reduce((sum, ball) => sum + ball.y, 0) / balls.length;
+            const dx = focusX - camera.focusX;
+            const dy = focusY - camera.focusY;
+            if (camera.snap || Math.hypot(dx, dy) > CAMERA_CUT_DISTANCE) {
+                camera.vx = 0;
+                camera.vy = 0;
+                camera.snap = true;
+            } else if (dt > 0) {
+                const smoothing = smoothingFactor(CAMERA_VELOCITY_SMOOTHING, dt);
+                camera.vx += (dx / dt - camera.vx) * smoothing;
+                camera.vy += (dy / dt - camera.vy) * smoothing;
+            }
+            camera.focusX = focusX;
+            camera.focusY = focusY;
+        }
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+        const leadX = clamp(
+            camera.vx * CAMERA_LOOK_AHEAD_TIME, -camera.width * CAMERA_MAX_LOOK_AHEAD, camera.width * CAMERA_MAX_LOOK_AHEAD);
+        const leadY = clamp(
+            camera.vy * CAMERA_LOOK_AHEAD_TIME, -camera.height * CAMERA_MAX_LOOK_AHEAD, camera.height * CAMERA_MAX_LOOK_AHEAD);
+        const targetX = clamp(camera.focusX + leadX - camera.width / 2, 0, Math.max(0, this.level.width - camera.width));
+        const targetY = clamp(camera.focusY + leadY - camera.height / 2, 0, Math.max(0, this.level.height - camera.height));
+        if (camera.snap) {
+            camera.x = targetX;
+            camera.y = targetY;
+            camera.snap = false;
+        } else {
+            const smoothing = smoothingFactor(CAMERA_SMOOTHING, dt);
+            camera.x += (targetX - camera.x) * smoothing;
+            camera.y += (targetY - camera.y) * smoothing;
+        }
+        this.visibleCells = {
+            left: Math.max(0, Math.floor(camera.x)),
+            top: Math.max(0, Math.floor(camera.y)),
+            right: Math.min(this.level.width, Math.ceil(camera.x + camera.width)),
+            bottom: Math.min(this.level.height, Math.ceil(camera.y + camera.height))
+        };
+    }
+
+    /**
+     * Whether a cell lies in the visible part of the board.
+     * @param {number} col
+     * @param {number} row
+     */
+    isCellVisible(col, row) {
+        const { left, top, right, bottom } = this.visibleCells;
+        return col >= left && col < right && row >= top && row < bottom;
+    }
+
+    /**
+     * Whether an area (in cells) overlaps the visible part of the board.
+     * @param {{left:number, top:number, right:number, bottom:number}} area
+     */
+    isAreaVisible(area) {
+        const { left, top, right, bottom } = this.visibleCells;
+        return area.right > left && area.left < right && area.bottom > top && area.top < bottom;
+    }
+
+    /**
+     * Draws a frame of a ball dropping into a hole: it slides to the hole center,
+     * shrinks and darkens as it sinks. The other balls are drawn where they are.
+     * @param {Array<{x:number, y:number, radius:number}>} balls Ball positions; the sinking one
+     *   where it crossed the rim.
+     * @param {number} sinkingIndex Index of the sinking ball in `balls`.
+     * @param {{x:number, y:number}} hole Center of the hole.
+     * @param {number} progress Animation progress from 0 to 1.
+     */
+    renderSinking(balls, sinkingIndex, hole, progress) {
+        const eased = 1 - (1 - progress) * (1 - progress);
+        this.render(balls.map((ball, index) => (index !== sinkingIndex ? ball : {
+            x: ball.x + (hole.x - ball.x) * eased,
+            y: ball.y + (hole.y - ball.y) * eased,
+            radius: ball.radius,
+            scale: 1 - 0.7 * progress,
+            shade: progress
+        })));
+    }
+
+    /**
+     * Starts a flash at both ends of a teleport.
+     * @param {import('./physics.js').TeleportEvent} teleport
+     */
+    playTeleportEffect(teleport) {
+        const ring = { type: 'ring', color: '155, 89, 182', start: this.animationTime, duration: TELEPORT_EFFECT_DURATION };
+        this.effects.push(
+            { ...ring, x: teleport.from.x, y: teleport.from.y },
+            { ...ring, x: teleport.to.x, y: teleport.to.y }
+        );
+    }
+
+    /**
+     * Starts a flash on a switch that was pressed.
+     * @param {import('./physics.js').SwitchEvent} event
+     */
+    playSwitchEffect(event) {
+        const sw = this.level.switches?.[cellKey(event.col, event.row)];
+        this.effects.push({
+            type: 'ring',
+            color: SWITCH_COLORS[(sw?.group ?? 0) % SWITCH_COLORS.length],
+            x: event.col + 0.5,
+            y: event.row + 0.5,
+            start: this.animationTime,
+            duration: SWITCH_EFFECT_DURATION
+        });
+    }
+
+    /**
+     * Starts a flash where an item was picked up.
+     * @param {import('./physics.js').CollectEvent} event
+     */
+    playCollectEffect(event) {
+        this.effects.push({
+            type: 'ring',
+            color: event.type === 'key' ? '241, 196, 15' : '0, 206, 201',
+            x: event.col + 0.5,
+            y: event.row + 0.5,
+            start: this.animationTime,
+            duration: COLLECT_EFFECT_DURATION
+        });
+    }
+
+    /**
+     * Starts a flash on a checkpoint (when it is reached or the ball respawns there).
+     * @param {import('./levels.js').Checkpoint} checkpoint
+     */
+    playCheckpointEffect(checkpoint) {
+        this.effects.push({
+            type: 'ring',
+            color: '46, 204, 113',
+            x: checkpoint.col + 0.5,
+            y: checkpoint.row + 0.5,
+            start: this.animationTime,
+            duration: CHECKPOINT_EFFECT_DURATION
+        });
+    }
+
+    /**
+     * Starts a burst of wall shards where a fragile wall shattered.
+     * The shards fly away from the cell center, faster for harder hits.
+     * @param {import('./physics.js').BreakEvent} event
+     */
+    playBreakEffect(event) {
+        const shards = Array.from({ length: DEBRIS_SHARDS }, () => {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = (0.4 + Math.random() * 0.6) * (1 + event.speed * 4);
+            return {
+                dx: Math.cos(angle) * distance,
+                dy: Math.sin(angle) * distance,
+                size: 0.08 + Math.random() * 0.12,
+                spin: (Math.random() - 0.5) * 8
+            };
+        });
+        this.effects.push({
+            type: 'debris',
+            x: event.col + 0.5,
+            y: event.row + 0.5,
+            shards,
+            start: this.animationTime,
+            duration: DEBRIS_EFFECT_DURATION
+        });
+    }
+
+    /** Draws active effects and drops expired ones. */
+    drawEffects() {
+        this.effects = this.effects.filter(effect => this.animationTime - effect.start < effect.duration);
+        this.effects.forEach(effect => {
+            // Rings grow to just under a cell in radius; shards fly up to their own distance.
+            const reach = effect.type === 'debris'
+                ? Math.max(...effect.shards.map(shard => Math.hypot(shard.dx, shard.dy) + shard.size))
+                : 1;
+            if (!this.isAreaVisible({ left: effect.x - reach, top: effect.y - reach, right: effect.x + reach, bottom: effect.y + reach })) return;
+            const progress = (this.animationTime - effect.start) / effect.duration;
+            if (effect.type === 'debris') {
+                this.drawDebris(effect, progress);
+                return;
+            }
+            const radius = this.cellSize * (0.3 + progress * 0.6);
+            this.ctx.strokeStyle = `rgba(${effect.color}, ${1 - progress})`;
+            this.ctx.lineWidth = Math.max(2, this.cellSize * 0.08 * (1 - progress));
+            this.ctx.beginPath();
+            this.ctx.arc(effect.x * this.cellSize, effect.y * this.cellSize, radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        });
     }
 
+    /**
+     * Draws the shards of a shattered wall; they slow down and fade out.
+     * @param {{x:number, y:number, shards:Array<{dx:number, dy:number, size:number, spin:number}>}} effect
+     * @param {number} progress Effect progress from 0 to 1.
+     */
+    drawDebris(effect, progress) {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const travel = 1 - (1 - progress) * (1 - progress);
+        ctx.save();
+        ctx.fillStyle = `rgba(44, 62, 80, ${1 - progress})`;
+        effect.shards.forEach(shard => {
+            const x = (effect.x + shard.dx * travel) * size;
+            const y = (effect.y + shard.dy * travel) * size;
+            const half = shard.size * size * 0.5;
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(shard.spin * progress);
+            ctx.fillRect(-half, -half, half * 2, half * 2);
+            ctx.restore();
+        });
+        ctx.restore();
+    }
+
+    /** Draws the floor and grid lines of the visible cells. */
     drawBoardBase() {
-        const width = this.level.width * this.cellSize;
-        const height = this.level.height * this.cellSize;
+        const { left, top, right, bottom } = this.visibleCells;
+        const size = this.cellSize;
         this.ctx.fillStyle = '#e3f2f9';
-        this.ctx.fillRect(0, 0, width, height);
+        this.ctx.fillRect(left * size, top * size, (right - left) * size, (bottom - top) * size);
         this.ctx.strokeStyle = '#d0e5f0';
         this.ctx.lineWidth = 1;
-        for (let x = 0; x <= width; x += this.cellSize) {
+        for (let col = left; col <= right; col++) {
             this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, height);
+            this.ctx.moveTo(col * size, top * size);
+            this.ctx.lineTo(col * size, bottom * size);
             this.ctx.stroke();
         }
-        for (let y = 0; y <= height; y += this.cellSize) {
+        for (let row = top; row <= bottom; row++) {
             this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(width, y);
+            this.ctx.moveTo(left * size, row * size);
+            this.ctx.lineTo(right * size, row * size);
             this.ctx.stroke();
         }
     }
 
+    /** Draws walls and special tiles of the visible cells. */
     drawMaze() {
-        const rows = this.level.grid.length;
-        const cols = this.level.grid[0].length;
-        for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < cols; col++) {
-                if (this.level.grid[row][col] === CELL_TYPES.WALL) {
+        const { left, top, right, bottom } = this.visibleCells;
+        for (let row = top; row < bottom; row++) {
+            for (let col = left; col < right; col++) {
+                const cell = this.level.grid[row][col];
+                if (cell === CELL_TYPES.WALL) {
                     this.drawWallCell(col, row);
+                } else if (cell === CELL_TYPES.FRAGILE) {
+                    this.drawFragileWall(col, row);
+                } else if (cell === CELL_TYPES.ICE || cell === CELL_TYPES.MUD || cell === CELL_TYPES.SAND) {
+                    this.drawSurfaceCell(col, row, cell);
+                } else if (cell === CELL_TYPES.BOOSTER || cell === CELL_TYPES.CONVEYOR) {
+                    const tile = this.level.forceTiles?.[cellKey(col, row)];
+                    if (tile) this.drawForceTile(tile);
+                } else if (cell === CELL_TYPES.TELEPORTER) {
+                    const teleporter = this.level.teleporters?.[cellKey(col, row)];
+                    if (teleporter) this.drawTeleporter(teleporter);
+                } else if (cell === CELL_TYPES.SWITCH) {
+                    const sw = this.level.switches?.[cellKey(col, row)];
+                    if (sw) this.drawSwitch(sw);
+                } else if (cell === CELL_TYPES.DOOR || cell === CELL_TYPES.DOOR_OPEN) {
+                    const door = this.level.doors?.[cellKey(col, row)];
+                    this.drawDoor(col, row, cell === CELL_TYPES.DOOR_OPEN, door?.group ?? 0);
+                } else if (cell === CELL_TYPES.GATE) {
+                    const gate = this.level.gates?.[cellKey(col, row)];
+                    if (gate) this.drawGate(gate);
+                } else if (cell === CELL_TYPES.CHECKPOINT) {
+                    const checkpoint = this.level.checkpoints?.[cellKey(col, row)];
+                    if (checkpoint) this.drawCheckpoint(checkpoint);
                 }
             }
         }
     }
 
     drawWallCell(col, row) {
+        this.drawWallRect(col, row, 1, 1);
+    }
+
+    /**
+     * Draws a wall block in cell units (used for grid walls and moving walls).
+     */
+    drawWallRect(col, row, widthCells, heightCells) {
         const x = col * this.cellSize;
         const y = row * this.cellSize;
-        const size = this.cellSize;
-        const offset = size * 0.1;
+        const width = widthCells * this.cellSize;
+        const height = heightCells * this.cellSize;
+        const offset = this.cellSize * 0.1;
         this.ctx.fillStyle = '#2c3e50';
-        this.ctx.fillRect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+        this.ctx.fillRect(x + offset, y + offset, width - offset * 2, height - offset * 2);
         this.ctx.strokeStyle = '#34495e';
-        this.ctx.lineWidth = Math.max(1, size * 0.03);
-        this.ctx.strokeRect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+        this.ctx.lineWidth = Math.max(1, this.cellSize * 0.03);
+        this.ctx.strokeRect(x + offset, y + offset, width - offset * 2, height - offset * 2);
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
-        this.ctx.fillRect(x + offset, y + offset, size - offset * 2, size * 0.2);
+        this.ctx.fillRect(x + offset, y + offset, width - offset * 2, this.cellSize * 0.2);
+    }
+
+    /**
+     * Draws a fragile wall: a lighter wall block with cracks.
+     */
+    drawFragileWall(col, row) {
+        const size = this.cellSize;
+        const x = col * size;
+        const y = row * size;
+        const offset = size * 0.1;
+        const ctx = this.ctx;
+        ctx.fillStyle = '#5d6d7e';
+        ctx.fillRect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+        ctx.strokeStyle = '#34495e';
+        ctx.lineWidth = Math.max(1, size * 0.03);
+        ctx.strokeRect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+        ctx.strokeStyle = 'rgba(236, 240, 241, 0.55)';
+        ctx.lineWidth = Math.max(1, size * 0.025);
+        ctx.beginPath();
+        const jitter = (salt) => (cellHash(col, row, salt) - 0.5) * size * 0.2;
+        ctx.moveTo(x + size * 0.5 + jitter(1), y + offset);
+        ctx.lineTo(x + size * 0.45 + jitter(2), y + size * 0.45);
+        ctx.lineTo(x + size - offset, y + size * 0.55 + jitter(3));
+        ctx.moveTo(x + size * 0.45 + jitter(2), y + size * 0.45);
+        ctx.lineTo(x + size * 0.3 + jitter(4), y + size - offset);
+        ctx.moveTo(x + size * 0.45 + jitter(2), y + size * 0.45);
+        ctx.lineTo(x + offset, y + size * 0.35 + jitter(5));
+        ctx.stroke();
+    }
+
+    /**
+     * Draws moving walls and holes, interpolated between the last two physics steps.
+     * @param {number} alpha
+     */
+    drawMovers(alpha) {
+        (this.level.movers || []).forEach(mover => {
+            const x = mover.prevX + (mover.x - mover.prevX) * alpha;
+            const y = mover.prevY + (mover.y - mover.prevY) * alpha;
+            const width = mover.type === 'wall' ? mover.width : 1;
+            const height = mover.type === 'wall' ? mover.height : 1;
+            if (!this.isAreaVisible({ left: x, top: y, right: x + width, bottom: y + height })) return;
+            if (mover.type === 'wall') {
+                this.drawWallRect(x, y, mover.width, mover.height);
+            } else {
+                this.drawHole(x + 0.5, y + 0.5);
+            }
+        });
+    }
+
+    /**
+     * Draws a surface floor tile with a simple procedural texture.
+     * Speckles are placed with a per-cell hash so the texture does not flicker.
+     */
+    drawSurfaceCell(col, row, type) {
+        const x = col * this.cellSize;
+        const y = row * this.cellSize;
+        const size = this.cellSize;
+        const ctx = this.ctx;
+        if (type === CELL_TYPES.ICE) {
+            ctx.fillStyle = '#cdefff';
+            ctx.fillRect(x, y, size, size);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.lineWidth = Math.max(1, size * 0.04);
+            ctx.beginPath();
+            ctx.moveTo(x + size * 0.2, y + size * 0.55);
+            ctx.lineTo(x + size * 0.55, y + size * 0.2);
+            ctx.moveTo(x + size * 0.45, y + size * 0.8);
+            ctx.lineTo(x + size * 0.8, y + size * 0.45);
+            ctx.stroke();
+            return;
+        }
+        const isMud = type === CELL_TYPES.MUD;
+        ctx.fillStyle = isMud ? '#8d6e4f' : '#f1dca7';
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = isMud ? 'rgba(62, 39, 20, 0.45)' : 'rgba(176, 137, 72, 0.55)';
+        const speckles = isMud ? 4 : 7;
+        for (let i = 0; i < speckles; i++) {
+            const hx = cellHash(col, row, i * 2);
+            const hy = cellHash(col, row, i * 2 + 1);
+            const radius = size * (isMud ? 0.08 + hx * 0.06 : 0.03);
+            ctx.beginPath();
+            ctx.arc(x + size * (0.15 + hx * 0.7), y + size * (0.15 + hy * 0.7), radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draws a booster/conveyor tile: a colored pad with chevrons that scroll
+     * in the push direction (boosters scroll faster than conveyors).
+     * @param {import('./levels.js').ForceTile} tile
+     */
+    drawForceTile(tile) {
+        const size = this.cellSize;
+        const x = tile.col * size;
+        const y = tile.row * size;
+        const isBooster = tile.kind === 'booster';
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = isBooster ? '#f39c12' : '#95a5a6';
+        ctx.fillRect(x, y, size, size);
+        ctx.beginPath();
+        ctx.rect(x, y, size, size);
+        ctx.clip();
+        ctx.translate(x + size / 2, y + size / 2);
+        ctx.rotate(Math.atan2(tile.dy, tile.dx));
+        ctx.strokeStyle = isBooster ? 'rgba(255, 255, 255, 0.9)' : 'rgba(52, 73, 94, 0.7)';
+        ctx.lineWidth = Math.max(1.5, size * 0.08);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        const speed = isBooster ? 2.5 : 0.8;
+        const offset = ((this.animationTime * speed) % 1) * size * 0.5;
+        for (let i = -2; i <= 1; i++) {
+            const cx = i * size * 0.5 + offset;
+            ctx.beginPath();
+            ctx.moveTo(cx - size * 0.12, -size * 0.22);
+            ctx.lineTo(cx + size * 0.1, 0);
+            ctx.lineTo(cx - size * 0.12, size * 0.22);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draws a teleporter as a rotating portal; both ends of a pair share a color.
+     * @param {import('./levels.js').Teleporter} teleporter
+     */
+    drawTeleporter(teleporter) {
+        const size = this.cellSize;
+        const centerX = (teleporter.col + 0.5) * size;
+        const centerY = (teleporter.row + 0.5) * size;
+        const color = TELEPORTER_COLORS[teleporter.pair % TELEPORTER_COLORS.length];
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, size * 0.42, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(1.5, size * 0.06);
+        const spin = this.animationTime * 3;
+        for (let i = 0; i < 3; i++) {
+            const start = spin + (i * Math.PI * 2) / 3;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, size * (0.18 + i * 0.08), start, start + Math.PI * 1.1);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draws a switch plate. Hold switches are round, toggle switches square;
+     * a pressed plate is drawn sunken.
+     * @param {import('./levels.js').Switch} sw
+     */
+    drawSwitch(sw) {
+        const size = this.cellSize;
+        const centerX = (sw.col + 0.5) * size;
+        const centerY = (sw.row + 0.5) * size;
+        const color = SWITCH_COLORS[Math.max(0, sw.group) % SWITCH_COLORS.length];
+        const half = size * (sw.pressed ? 0.24 : 0.3);
+        const ctx = this.ctx;
+        ctx.fillStyle = `rgba(${color}, ${sw.pressed ? 0.5 : 0.9})`;
+        ctx.strokeStyle = `rgb(${color})`;
+        ctx.lineWidth = Math.max(1.5, size * 0.05);
+        ctx.beginPath();
+        if (sw.mode === 'toggle') {
+            ctx.rect(centerX - half, centerY - half, half * 2, half * 2);
+        } else {
+            ctx.arc(centerX, centerY, half, 0, Math.PI * 2);
+        }
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * Draws a door: a striped solid block when closed, a dashed outline when open.
+     */
+    drawDoor(col, row, isOpen, group) {
+        const size = this.cellSize;
+        const x = col * size;
+        const y = row * size;
+        const color = SWITCH_COLORS[Math.max(0, group) % SWITCH_COLORS.length];
+        const offset = size * 0.1;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = `rgb(${color})`;
+        ctx.lineWidth = Math.max(1, size * 0.05);
+        if (isOpen) {
+            ctx.setLineDash([size * 0.12, size * 0.08]);
+            ctx.strokeRect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+            ctx.restore();
+            return;
+        }
+        ctx.fillStyle = `rgba(${color}, 0.85)`;
+        ctx.fillRect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+        ctx.beginPath();
+        ctx.rect(x + offset, y + offset, size - offset * 2, size - offset * 2);
+        ctx.clip();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        for (let i = -1; i <= 3; i++) {
+            ctx.beginPath();
+            ctx.moveTo(x + i * size * 0.3, y + size);
+            ctx.lineTo(x + i * size * 0.3 + size, y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draws a one-way gate as a striped frame with chevrons pointing in the pass direction.
+     * The chevrons drift slowly in that direction.
+     * @param {import('./levels.js').Gate} gate
+     */
+    drawGate(gate) {
+        const size = this.cellSize;
+        const ctx = this.ctx;
+        const centerX = (gate.col + 0.5) * size;
+        const centerY = (gate.row + 0.5) * size;
+        ctx.save();
+        ctx.fillStyle = 'rgba(243, 156, 18, 0.15)';
+        ctx.fillRect(gate.col * size, gate.row * size, size, size);
+        ctx.translate(centerX, centerY);
+        ctx.rotate(Math.atan2(gate.dy, gate.dx));
+        // Blocked side: a solid bar across the cell edge the gate points to.
+        ctx.fillStyle = 'rgba(211, 84, 0, 0.8)';
+        ctx.fillRect(size * 0.42, -size * 0.5, size * 0.08, size);
+        ctx.strokeStyle = '#f39c12';
+        ctx.lineWidth = Math.max(1.5, size * 0.07);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        const drift = ((this.animationTime * 0.6) % 1) * size * 0.2;
+        [-0.22, 0.02].forEach(offset => {
+            const x = offset * size + drift;
+            ctx.beginPath();
+            ctx.moveTo(x - size * 0.12, -size * 0.2);
+            ctx.lineTo(x + size * 0.08, 0);
+            ctx.lineTo(x - size * 0.12, size * 0.2);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws a checkpoint as a pad with a flag: grey until reached, then green and waving.
+     * @param {import('./levels.js').Checkpoint} checkpoint
+     */
+    drawCheckpoint(checkpoint) {
+        const size = this.cellSize;
+        const x = checkpoint.col * size;
+        const y = checkpoint.row * size;
+        const color = checkpoint.active ? '46, 204, 113' : '149, 165, 166';
+        const ctx = this.ctx;
+        ctx.fillStyle = `rgba(${color}, ${checkpoint.active ? 0.25 : 0.15})`;
+        ctx.beginPath();
+        ctx.arc(x + size * 0.5, y + size * 0.5, size * 0.42, 0, Math.PI * 2);
+        ctx.fill();
+        const poleX = x + size * 0.38;
+        ctx.strokeStyle = '#7f8c8d';
+        ctx.lineWidth = Math.max(1.5, size * 0.05);
+        ctx.beginPath();
+        ctx.moveTo(poleX, y + size * 0.82);
+        ctx.lineTo(poleX, y + size * 0.18);
+        ctx.stroke();
+        const wave = checkpoint.active ? Math.sin(this.animationTime * 6) * size * 0.04 : 0;
+        ctx.fillStyle = `rgb(${color})`;
+        ctx.beginPath();
+        ctx.moveTo(poleX, y + size * 0.18);
+        ctx.quadraticCurveTo(poleX + size * 0.18, y + size * 0.22 + wave, poleX + size * 0.34, y + size * 0.3);
+        ctx.lineTo(poleX, y + size * 0.44);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draws force fields as faint particles: streaming into magnets, out of repulsors
+     * and along the direction of wind zones. Particle positions are derived from
+     * `animationTime`, so no particle state is kept between frames.
+     */
+    drawFields() {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        (this.level.fields || []).forEach((field, index) => {
+            const area = field.type === 'wind' ? field : {
+                left: field.x - field.radius,
+                top: field.y - field.radius,
+                right: field.x + field.radius,
+                bottom: field.y + field.radius
+            };
+            if (!this.isAreaVisible(area)) return;
+            ctx.save();
+            if (field.type === 'wind') {
+                const width = field.right - field.left;
+                const height = field.bottom - field.top;
+                ctx.beginPath();
+                ctx.rect(field.left * size, field.top * size, width * size, height * size);
+                ctx.clip();
+                ctx.fillStyle = 'rgba(174, 214, 241, 0.08)';
+                ctx.fill();
+                ctx.strokeStyle = 'rgba(236, 240, 241, 0.35)';
+                ctx.lineWidth = Math.max(1, size * 0.03);
+                ctx.lineCap = 'round';
+                const count = Math.min(60, Math.ceil(width * height * 1.5));
+                const travel = this.animationTime * 3;
+                const wrap = (value, span) => ((value % span) + span) % span;
+                for (let i = 0; i < count; i++) {
+                    const speed = 0.7 + cellHash(i, index, 3) * 0.6;
+                    const x = field.left + wrap(cellHash(i, index, 1) * width + field.dx * travel * speed, width);
+                    const y = field.top + wrap(cellHash(i, index, 2) * height + field.dy * travel * speed, height);
+                    ctx.beginPath();
+                    ctx.moveTo(x * size, y * size);
+                    ctx.lineTo((x - field.dx * 0.3) * size, (y - field.dy * 0.3) * size);
+                    ctx.stroke();
+                }
+            } else {
+                const inward = field.type === 'attractor';
+                const color = inward ? '155, 89, 182' : '230, 126, 34';
+                ctx.strokeStyle = `rgba(${color}, 0.25)`;
+                ctx.lineWidth = Math.max(1, size * 0.02);
+                ctx.setLineDash([size * 0.1, size * 0.1]);
+                ctx.beginPath();
+                ctx.arc(field.x * size, field.y * size, field.radius * size, 0, Math.PI * 2);
+                ctx.stroke();
+                const count = Math.ceil(field.radius * 8);
+                for (let i = 0; i < count; i++) {
+                    const angle = cellHash(i, index, 4) * Math.PI * 2;
+                    const phase = (this.animationTime * 0.8 + cellHash(i, index, 5)) % 1;
+                    const distance = field.radius * (inward ? 1 - phase : phase);
+                    ctx.fillStyle = `rgba(${color}, ${0.5 * Math.sin(Math.PI * phase)})`;
+                    ctx.beginPath();
+                    ctx.arc(
+                        (field.x + Math.cos(angle) * distance) * size,
+                        (field.y + Math.sin(angle) * distance) * size,
+                        Math.max(1, size * 0.04),
+                        0,
+                        Math.PI * 2
+                    );
+                    ctx.fill();
+                }
+            }
+            ctx.restore();
+        });
+    }
+
+    /** Draws the level's free-form walls in the same style as grid walls. */
+    drawGeometry() {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        (this.level.geometry?.shapes || []).forEach(shape => {
+            if (!this.isAreaVisible(shapeBounds(shape))) return;
+            ctx.save();
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            if (shape.type === 'polygon') {
+                ctx.beginPath();
+                shape.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x * size, y * size) : ctx.lineTo(x * size, y * size)));
+                ctx.closePath();
+                ctx.fillStyle = '#2c3e50';
+                ctx.fill();
+                ctx.strokeStyle = '#34495e';
+                ctx.lineWidth = Math.max(1, size * 0.03);
+                ctx.stroke();
+            } else if (shape.type === 'bumper') {
+                const [cx, cy] = shape.center;
+                const radius = shape.radius * size;
+                const pulse = Math.sin(this.animationTime * 4) * 0.04 + 1;
+                const gradient = ctx.createRadialGradient(cx * size - radius * 0.3, cy * size - radius * 0.3, 0, cx * size, cy * size, radius);
+                gradient.addColorStop(0, '#f5b041');
+                gradient.addColorStop(1, '#ca6f1e');
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(cx * size, cy * size, radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.lineWidth = Math.max(1.5, size * 0.05);
+                ctx.beginPath();
+                ctx.arc(cx * size, cy * size, radius * 0.7 * pulse, 0, Math.PI * 2);
+                ctx.stroke();
+            } else {
+                const thickness = (shape.thickness ?? 0.2) * size;
+                ctx.beginPath();
+                if (shape.type === 'arc') {
+                    const [cx, cy] = shape.center;
+                    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+                    ctx.arc(cx * size, cy * size, shape.radius * size, toRadians(shape.start), toRadians(shape.end), shape.end < shape.start);
+                } else {
+                    ctx.moveTo(shape.from[0] * size, shape.from[1] * size);
+                    ctx.lineTo(shape.to[0] * size, shape.to[1] * size);
+                }
+                ctx.strokeStyle = '#2c3e50';
+                ctx.lineWidth = Math.max(2, thickness);
+                ctx.stroke();
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.lineWidth = Math.max(1, thickness * 0.35);
+                ctx.stroke();
+            }
+            ctx.restore();
+        });
     }
 
     drawHoles() {
         this.level.holes.forEach(([col, row]) => {
-            const centerX = (col + 0.5) * this.cellSize;
-            const centerY = (row + 0.5) * this.cellSize;
-            const radius = this.cellSize * 0.3;
-            const pulse = Math.sin(this.animationTime * 2) * 0.05 + 1;
-            this.ctx.fillStyle = '#e74c3c';
-            this.ctx.beginPath();
-            this.ctx.arc(centerX, centerY, radius * pulse, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.strokeStyle = '#c0392b';
-            this.ctx.lineWidth = Math.max(2, radius * 0.1);
-            this.ctx.beginPath();
-            this.ctx.arc(centerX, centerY, radius * pulse, 0, Math.PI * 2);
-            this.ctx.stroke();
-            this.ctx.fillStyle = '#ecf0f1';
-            this.ctx.beginPath();
-            this.ctx.arc(centerX, centerY, radius * 0.3 * pulse, 0, Math.PI * 2);
-            this.ctx.fill();
+            if (this.isCellVisible(col, row)) this.drawHole(col + 0.5, row + 0.5);
         });
     }
 
+    /**
+     * Draws a single hole centered at a position in cell units.
+     */
+    drawHole(cellX, cellY) {
+        const centerX = cellX * this.cellSize;
+        const centerY = cellY * this.cellSize;
+        // Drawn slightly smaller than the physical radius so the rim reads as the danger edge.
+        const holeRadius = this.level.physics?.holeRadius ?? DEFAULT_PHYSICS_PROFILE.holeRadius;
+        const radius = this.cellSize * holeRadius * 0.85;
+        const pulse = Math.sin(this.animationTime * 2) * 0.05 + 1;
+        this.ctx.fillStyle = '#e74c3c';
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius * pulse, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#c0392b';
+        this.ctx.lineWidth = Math.max(2, radius * 0.1);
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius * pulse, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.fillStyle = '#ecf0f1';
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius * 0.3 * pulse, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    /**
+     * Draws uncollected gems (diamonds) and keys, gently bobbing.
+     */
+    drawItems() {
+        (this.level.items || []).forEach((item, index) => {
+            if (item.collected || !this.isCellVisible(item.col, item.row)) return;
+            const size = this.cellSize;
+            const bob = Math.sin(this.animationTime * 3 + index) * size * 0.04;
+            const centerX = (item.col + 0.5) * size;
+            const centerY = (item.row + 0.5) * size + bob;
+            if (item.type === 'gem') {
+                this.drawGem(centerX, centerY, size * 0.2);
+            } else {
+                this.drawKey(centerX, centerY, size * 0.22);
+            }
+        });
+    }
+
+    drawGem(centerX, centerY, r) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#00cec9';
+        ctx.strokeStyle = '#00a8a3';
+        ctx.lineWidth = Math.max(1, r * 0.15);
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY - r);
+        ctx.lineTo(centerX + r * 0.8, centerY);
+        ctx.lineTo(centerX, centerY + r);
+        ctx.lineTo(centerX - r * 0.8, centerY);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY - r);
+        ctx.lineTo(centerX + r * 0.3, centerY - r * 0.2);
+        ctx.lineTo(centerX - r * 0.3, centerY - r * 0.2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    drawKey(centerX, centerY, r) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = '#f1c40f';
+        ctx.fillStyle = '#f1c40f';
+        ctx.lineWidth = Math.max(1.5, r * 0.3);
+        ctx.beginPath();
+        ctx.arc(centerX - r * 0.5, centerY, r * 0.45, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(centerX - r * 0.05, centerY);
+        ctx.lineTo(centerX + r, centerY);
+        ctx.moveTo(centerX + r * 0.6, centerY);
+        ctx.lineTo(centerX + r * 0.6, centerY + r * 0.4);
+        ctx.moveTo(centerX + r * 0.95, centerY);
+        ctx.lineTo(centerX + r * 0.95, centerY + r * 0.35);
+        ctx.stroke();
+    }
+
+    /**
+     * Draws a padlock over the goal while keys are missing.
+     */
+    drawGoalLock(centerX, centerY, r) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = '#ecf0f1';
+        ctx.fillStyle = '#ecf0f1';
+        ctx.lineWidth = Math.max(1.5, r * 0.18);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY - r * 0.15, r * 0.35, Math.PI, 0);
+        ctx.stroke();
+        ctx.fillRect(centerX - r * 0.5, centerY - r * 0.15, r, r * 0.7);
+    }
+
+    /** Draws every goal socket (multi-ball levels have one per ball). */
     drawGoal() {
-        const goal = this.level.goal;
+        const locked = this.level.items ? isGoalLocked(this.level) : false;
+        (this.level.goals || [this.level.goal]).forEach(goal => {
+            // The glow reaches about 0.8 cells from the goal center.
+            if (this.isAreaVisible({ left: goal.x - 1, top: goal.y - 1, right: goal.x + 1, bottom: goal.y + 1 })) {
+                this.drawGoalSocket(goal, locked);
+            }
+        });
+    }
+
+    drawGoalSocket(goal, locked) {
         const centerX = goal.x * this.cellSize;
         const centerY = goal.y * this.cellSize;
         const size = this.cellSize * 0.38;
@@ -167,41 +1081,132 @@ export class Renderer {
         this.ctx.beginPath();
         this.ctx.arc(centerX, centerY, r * 2, 0, Math.PI * 2);
         this.ctx.fill();
-        // Goal tile (green circle)
+        // Goal tile (green circle, grey while locked)
         const gradient = this.ctx.createRadialGradient(centerX - r * 0.3, centerY - r * 0.3, 0, centerX, centerY, r);
-        gradient.addColorStop(0, '#2ecc71');
-        gradient.addColorStop(0.5, '#27ae60');
-        gradient.addColorStop(1, '#1e8449');
+        gradient.addColorStop(0, locked ? '#95a5a6' : '#2ecc71');
+        gradient.addColorStop(0.5, locked ? '#7f8c8d' : '#27ae60');
+        gradient.addColorStop(1, locked ? '#626e70' : '#1e8449');
         this.ctx.fillStyle = gradient;
         this.ctx.beginPath();
         this.ctx.arc(centerX, centerY, r, 0, Math.PI * 2);
         this.ctx.fill();
-        this.ctx.strokeStyle = '#1a6b38';
+        this.ctx.strokeStyle = locked ? '#4d5656' : '#1a6b38';
         this.ctx.lineWidth = Math.max(1.5, this.cellSize * 0.035);
         this.ctx.beginPath();
         this.ctx.arc(centerX, centerY, r * 0.9, 0, Math.PI * 2);
         this.ctx.stroke();
+        if (locked) {
+            this.drawGoalLock(centerX, centerY, r);
+        }
     }
 
-    drawBall(ball) {
+    /**
+     * Draws a ball. Optional `scale` and `shade` (0–1) are used while it sinks into a hole.
+     * @param {{x:number, y:number, radius:number, scale?:number, shade?:number}} ball
+     * @param {number} [index=0] Ball index in a multi-ball level (picks the color).
+     */
+    drawBall(ball, index = 0) {
         const x = ball.x * this.cellSize;
         const y = ball.y * this.cellSize;
-        const radius = ball.radius * this.cellSize;
-        this.ctx.fillStyle = '#3498db';
+        const radius = ball.radius * (ball.scale ?? 1) * this.cellSize;
+        const [fill, stroke] = BALL_COLORS[index % BALL_COLORS.length];
+        this.ctx.fillStyle = fill;
         this.ctx.beginPath();
         this.ctx.arc(x, y, radius, 0, Math.PI * 2);
         this.ctx.fill();
-        this.ctx.strokeStyle = '#2980b9';
+        this.ctx.strokeStyle = stroke;
         this.ctx.lineWidth = Math.max(2, radius * 0.1);
         this.ctx.stroke();
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         this.ctx.beginPath();
         this.ctx.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.25, 0, Math.PI * 2);
         this.ctx.fill();
+        if (ball.shade) {
+            this.ctx.fillStyle = `rgba(0, 0, 0, ${0.8 * ball.shade})`;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius + 1, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    /**
+     * Draws the minimap in the top-right corner: the whole maze, the visible area and the balls.
+     * Plain walls, holes and goals are drawn once per level and canvas size into an offscreen
+     * canvas; fragile walls and closed doors can change during a run and are drawn on top every frame.
+     * @param {Array<{x:number, y:number}>} balls
+     */
+    drawMinimap(balls) {
+        const ctx = this.ctx;
+        const canvasWidth = this.canvas.width / this.dpr;
+        const canvasHeight = this.canvas.height / this.dpr;
+        const scale = (Math.min(canvasWidth, canvasHeight) * MINIMAP_SIZE) / Math.max(this.level.width, this.level.height);
+        const width = this.level.width * scale;
+        const height = this.level.height * scale;
+        const x = canvasWidth - width - MINIMAP_MARGIN;
+        const y = MINIMAP_MARGIN;
+        if (!this.minimapCache) {
+            this.minimapCache = this.createMinimapLayer(width, height, scale);
+        }
+        ctx.save();
+        ctx.globalAlpha = 0.85;
+        ctx.drawImage(this.minimapCache, x, y, width, height);
+        const { grid, fragile, doors } = this.level;
+        ctx.fillStyle = '#2c3e50';
+        (fragile || []).forEach(([col, row]) => {
+            if (grid[row][col] === CELL_TYPES.FRAGILE) ctx.fillRect(x + col * scale, y + row * scale, scale, scale);
+        });
+        Object.values(doors || {}).forEach(({ col, row, group }) => {
+            if (grid[row][col] !== CELL_TYPES.DOOR) return;
+            ctx.fillStyle = `rgb(${SWITCH_COLORS[Math.max(0, group) % SWITCH_COLORS.length]})`;
+            ctx.fillRect(x + col * scale, y + row * scale, scale, scale);
+        });
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+        ctx.strokeStyle = '#f39c12';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(x + this.camera.x * scale, y + this.camera.y * scale, this.camera.width * scale, this.camera.height * scale);
+        balls.forEach((ball, index) => {
+            ctx.fillStyle = BALL_COLORS[index % BALL_COLORS.length][0];
+            ctx.beginPath();
+            ctx.arc(x + ball.x * scale, y + ball.y * scale, Math.max(2, scale * 0.6), 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Static minimap layer (floor, plain walls, holes, goals) at device resolution.
+     * @returns {HTMLCanvasElement}
+     */
+    createMinimapLayer(width, height, scale) {
+        const layer = document.createElement('canvas');
+        layer.width = Math.ceil(width * this.dpr);
+        layer.height = Math.ceil(height * this.dpr);
+        const ctx = layer.getContext('2d');
+        ctx.scale(this.dpr * scale, this.dpr * scale);
+        ctx.fillStyle = '#e3f2f9';
+        ctx.fillRect(0, 0, this.level.width, this.level.height);
+        this.level.grid.forEach((cells, row) => cells.forEach((cell, col) => {
+            if (cell === CELL_TYPES.WALL) {
+                ctx.fillStyle = '#2c3e50';
+                ctx.fillRect(col, row, 1, 1);
+            } else if (cell === CELL_TYPES.HOLE) {
+                ctx.fillStyle = '#e74c3c';
+                ctx.fillRect(col, row, 1, 1);
+            }
+        }));
+        ctx.fillStyle = '#2ecc71';
+        (this.level.goals || [this.level.goal]).forEach(goal => {
+            ctx.fillRect(goal.x - 0.5, goal.y - 0.5, 1, 1);
+        });
+        return layer;
     }
 
     renderPlaceholder() {
         if (!this.level) return;
-        this.render({ x: this.level.start.x, y: this.level.start.y, radius: 0.35 });
+        const radius = this.level.physics?.ballRadius ?? DEFAULT_PHYSICS_PROFILE.ballRadius;
+        this.render((this.level.starts || [this.level.start]).map(start => ({ x: start.x, y: start.y, radius })));
     }
 }
@@ -0,0 +1,211 @@
+/**
+ * @file check-levels.mjs
+ * @description Node script that checks the code building levels and moving them in and
+ * out of the game: text maps, level links and level files round-trip and reject damaged
+ * input, generated mazes and daily challenges are repeatable and valid, and uploaded
+ * level packs are shape-checked and size-limited like single level files.
+ *
+ * Usage: `node tools/check-levels.mjs`
+ * Prints one line per check and exits with code 1 if any check fails.
+ */
+
+import assert from 'node:assert/strict';
+import { MAX_LEVEL_SIZE } from '../constants.js';
+import { LEVELS, TOTAL_LEVELS, getDailyDateKey, getDailyLevelData, getLevelData, hydrateLevel } from '../levels.js';
+import { parseLevel, serializeLevel } from '../levelFormat.js';
+import { getBundledPacks, loadPack } from '../levelPacks.js';
+import { checkImportedLevel, decodeLevel, encodeLevel, levelToJson, parseLevelJson } from '../levelShare.js';
+import { formatValidationErrors, validateLevel } from '../levelValidator.js';
+import { generateMaze } from '../mazeGenerator.js';
+
+/** @type {Array<{name: string, run: () => void}>} */
+const checks = [];
+
+/**
+ * Registers a check; `run` throws (e.g. through `assert`) when the check fails.
+ * @param {string} name
+ * @param {() => void} run
+ */
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+/**
+ * Manifest of an uploaded pack holding the given levels.
+ * @param {Object[]} levels
+ */
+function packWith(levels) {
+    return { id: 'check', title: 'Check', levels };
+}
+
+/**
+ * Hydrated level in a form that two equivalent raw levels share. The grid decides what
+ * each cell is, so the raw wall list (which may repeat cells or name a wall under a hole)
+ * is left out, and the hole and fragile lists are sorted and free of repeats.
+ * @param {import('../levels.js').RawLevel} raw
+ */
+function comparable(raw) {
+    const level = hydrateLevel(raw);
+    delete level.walls;
+    ['holes', 'fragile'].forEach(key => {
+        const unique = new Map(level[key].map(cell => [String(cell), cell]));
+        level[key] = [...unique.values()].sort(([ax, ay], [bx, by]) => ay - by || ax - bx);
+    });
+    return level;
+}
+
+/**
+ * Throws the validation errors of a raw level, if it has any.
+ * @param {import('../levels.js').RawLevel} raw
+ */
+function assertValid(raw) {
+    const { valid, errors } = validateLevel(raw);
+    assert.ok(valid, formatValidationErrors(raw, errors));
+}
+
+/**
+ * Level link payload holding the given fields as they appear in a link.
+ * @param {Object} fields
+ * @returns {string}
+ */
+function sharePayload(fields) {
+    return Buffer.from(JSON.stringify({ v: 1, n: 'Check', w: 5, h: 3, s: [1, 1], g: [3, 1], m: '6#3.6#', ...fields })).toString('base64url');
+}
+
+// Text maps --------------------------------------------------------------------------
+
+check('every bundled level survives serializeLevel and parseLevel unchanged', () => {
+    getBundledPacks().forEach(pack => {
+        pack.levels.forEach(level => {
+            assert.deepEqual(comparable(parseLevel(serializeLevel(level))), comparable(level), `${pack.title}: level ${level.id} "${level.name}"`);
+        });
+    });
+});
+
+// Generated mazes --------------------------------------------------------------------
+
+check('the maze generator builds the same maze from the same seed', () => {
+    const options = { seed: 'check', width: 21, height: 15, difficulty: { holeDensity: 0.15, deadEnds: 0.5 } };
+    assert.deepEqual(generateMaze(options), generateMaze(options));
+    assert.deepEqual(generateMaze({ seed: 42 }), generateMaze({ seed: 42 }));
+    assert.notDeepEqual(generateMaze({ ...options, seed: 'other' }), generateMaze(options));
+});
+
+check('generated mazes pass validation for a range of seeds, sizes and difficulties', () => {
+    const sizes = [[5, 5], [11, 11], [21, 15], [MAX_LEVEL_SIZE, MAX_LEVEL_SIZE]];
+    const difficulties = [{}, { holeDensity: 0.2, deadEnds: 0 }, { corridorWidth: 2, deadEnds: 0.5 }, { corridorWidth: 3, holeDensity: 0 }];
+    for (let seed = 1; seed <= 5; seed++) {
+        sizes.forEach(([width, height]) => {
+            difficulties.forEach(difficulty => {
+                assertValid(generateMaze({ seed, width, height, difficulty }));
+            });
+        });
+    }
+});
+
+check('the first endless levels pass validation', () => {
+    for (let stage = 1; stage <= 12; stage++) {
+        assert.doesNotThrow(() => getLevelData(TOTAL_LEVELS + stage), `endless stage ${stage}`);
+    }
+});
+
+// Daily challenge --------------------------------------------------------------------
+
+check('the daily challenge is the same level all day and changes with the date', () => {
+    assert.equal(getDailyDateKey(new Date(2026, 0, 5, 0, 1)), '2026-01-05');
+    assert.equal(getDailyDateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+    assert.deepEqual(getDailyLevelData('2026-01-05'), getDailyLevelData('2026-01-05'));
+    assert.notDeepEqual(getDailyLevelData('2026-01-06'), getDailyLevelData('2026-01-05'));
+});
+
+check('a year of daily challenges passes validation', () => {
+    for (let day = 0; day < 366; day++) {
+        const dateKey = getDailyDateKey(new Date(2028, 0, 1 + day));
+        assert.doesNotThrow(() => getDailyLevelData(dateKey), dateKey);
+    }
+});
+
+// Level links and level files ---------------------------------------------------------
+
+check('every bundled level survives encodeLevel and decodeLevel unchanged', () => {
+    getBundledPacks().forEach(pack => {
+        pack.levels.forEach(level => {
+            const decoded = decodeLevel(encodeLevel(level));
+            assert.deepEqual(comparable({ ...decoded, id: level.id }), comparable(level), `${pack.title}: level ${level.id} "${level.name}"`);
+        });
+    });
+});
+
+check('every bundled level survives levelToJson and parseLevelJson unchanged', () => {
+    getBundledPacks().forEach(pack => {
+        pack.levels.forEach(level => {
+            assert.deepEqual(parseLevelJson(levelToJson(level)), { walls: [], holes: [], ...level }, `${pack.title}: level ${level.id} "${level.name}"`);
+        });
+    });
+});
+
+check('damaged or tampered level links are rejected', () => {
+    assert.doesNotThrow(() => decodeLevel(sharePayload({})));
+    assert.throws(() => decodeLevel('%%not-a-link%%'), /damaged/);
+    assert.throws(() => decodeLevel(encodeLevel(LEVELS[0]).slice(0, -12)), /damaged/);
+    assert.throws(() => decodeLevel(sharePayload({ v: 99 })), /Unsupported level link version: 99/);
+    assert.throws(() => decodeLevel(sharePayload({ m: undefined })), /missing its board/);
+    assert.throws(() => decodeLevel(sharePayload({ w: 300, h: 300, m: '90000.' })), /too large \(300x300\)/);
+    assert.throws(() => decodeLevel(sharePayload({ m: '5.' })), /only 5 of 15 cells/);
+    assert.throws(() => decodeLevel(sharePayload({ m: '16.' })), /more than 15 cells/);
+    assert.throws(() => decodeLevel(sharePayload({ m: '14#X' })), /Unknown board character "X"/);
+    assert.throws(() => decodeLevel(sharePayload({ x: { sparkles: true } })), /unknown property "sparkles"/);
+    assert.throws(() => decodeLevel(sharePayload({ s: 'top left' })), /"start" must be a \[column, row\] pair/);
+});
+
+check('malformed level files are rejected', () => {
+    assert.throws(() => parseLevelJson('{"name": "Check",'), /not valid JSON/);
+    assert.throws(() => parseLevelJson('[1, 2, 3]'), /does not contain a level object/);
+    assert.throws(() => parseLevelJson(JSON.stringify({ ...LEVELS[0], width: 300 })), /"width" must be a whole number from 3 to 64/);
+    assert.throws(() => parseLevelJson(JSON.stringify({ ...LEVELS[0], holes: 'many' })), /"holes" must be a list of \[column, row\] pairs/);
+    assert.throws(() => parseLevelJson(JSON.stringify({ ...LEVELS[0], goal: [0, 0] })), /goal/i);
+});
+
+// Level packs ------------------------------------------------------------------------
+
+check('every level of the bundled packs passes the import checks', () => {
+    getBundledPacks().forEach(pack => {
+        pack.levels.forEach(level => {
+            assert.doesNotThrow(() => checkImportedLevel(level), `${pack.title}: level ${level.id} "${level.name}"`);
+        });
+    });
+});
+
+check('an uploaded pack with valid levels loads', () => {
+    const pack = loadPack(packWith([LEVELS[0], LEVELS[1]]));
+    assert.deepEqual(pack.levels.map(level => level.id), [LEVELS[0].id, LEVELS[1].id]);
+});
+
+check('an uploaded pack with a malformed level is rejected', () => {
+    const level = {
+        ...LEVELS[0],
+        physics: { maxSpeed: 'fast', ballRadius: -2 },
+        movers: [{ type: 'wall', path: [[2, 2]], duration: 'soon' }],
+        sparkles: true
+    };
+    assert.throws(() => loadPack(packWith([LEVELS[1], level])), /Level 2 of pack "Check": .*"physics".*"movers".*unknown property "sparkles"/);
+});
+
+check(`an uploaded pack with a board over ${MAX_LEVEL_SIZE} cells per side is rejected`, () => {
+    const level = { ...LEVELS[0], width: 300, height: 300 };
+    assert.throws(() => loadPack(packWith([level])), /"width" must be a whole number from 3 to 64/);
+});
+
+let failures = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok    ${name}`);
+    } catch (error) {
+        failures += 1;
+        console.error(`FAIL  ${name}: ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failures}/${checks.length} checks passed.`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,473 @@
+/**
+ * @file check-physics.mjs
+ * @description Node script that plays short scripted scenes through the physics step and
+ * checks what happens (the ball stops at walls, cannot tunnel through corners, ...).
+ *
+ * Usage: `node tools/check-physics.mjs`
+ * Prints one line per check and exits with code 1 if any check fails.
+ */
+
+import assert from 'node:assert/strict';
+import { CELL_TYPES } from '../constants.js';
+import { BallState, simulatePhysicsStep } from '../physics.js';
+import { PHYSICS_PRESETS, hydrateLevel } from '../levels.js';
+
+/** Slack for positions that end exactly on a contact. */
+const EPSILON = 1e-6;
+
+/** @type {Array<{name: string, run: () => void}>} */
+const checks = [];
+
+/**
+ * Registers a check; `run` throws (e.g. through `assert`) when the check fails.
+ * @param {string} name
+ * @param {() => void} run
+ */
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+/**
+ * Builds a raw level from a text map: `#` wall, `O` hole, `S` start, `G` goal, `.` floor,
+ * `B` spawn of an additional ball, `g` additional goal socket.
+ * @param {string[]} map One string per row.
+ * @param {Partial<import('../levels.js').RawLevel>} [extra] Further raw level properties.
+ * @returns {import('../levels.js').RawLevel}
+ */
+function textLevel(map, extra = {}) {
+    const level = { id: 0, name: 'Check', width: map[0].length, height: map.length, walls: [], holes: [] };
+    map.forEach((line, row) => {
+        [...line].forEach((char, col) => {
+            if (char === '#') level.walls.push([col, row]);
+            if (char === 'O') level.holes.push([col, row]);
+            if (char === 'S') level.start = [col, row];
+            if (char === 'G') level.goal = [col, row];
+            if (char === 'B') (level.balls ??= []).push([col, row]);
+            if (char === 'g') (level.goals ??= []).push([col, row]);
+        });
+    });
+    return { ...level, ...extra };
+}
+
+/**
+ * Hydrates a text map and puts a ball with the level's physics profile on every spawn point.
+ * @param {string[]} map
+ * @param {Partial<import('../levels.js').RawLevel>} [extra]
+ * @returns {{level: import('../levels.js').LevelData, balls: BallState[], ball: BallState}}
+ */
+function setUp(map, extra) {
+    const level = hydrateLevel(textLevel(map, extra));
+    const balls = level.starts.map(start => {
+        const ball = new BallState();
+        ball.applyProfile(level.physics);
+        ball.reset(start.x, start.y);
+        return ball;
+    });
+    return { level, balls, ball: balls[0] };
+}
+
+/**
+ * Runs physics steps, optionally with a constant tilt. Without tilt the balls keep the
+ * velocity a check gave them (tilting clamps it to `maxSpeed`).
+ * @param {{level: import('../levels.js').LevelData, balls: BallState[]}} scene
+ * @param {Object} options
+ * @param {number} options.ticks Maximum number of steps.
+ * @param {[number, number]} [options.tilt]
+ * @param {(result: ReturnType<typeof simulatePhysicsStep>) => boolean} [options.until] Stops early once true.
+ * @param {(result: ReturnType<typeof simulatePhysicsStep>) => void} [options.each] Called after every step.
+ * @returns {ReturnType<typeof simulatePhysicsStep>} Result of the last step.
+ */
+function play({ level, balls }, { ticks, tilt = null, until = () => false, each = () => {} }) {
+    let result = null;
+    for (let tick = 0; tick < ticks; tick++) {
+        balls.forEach(ball => {
+            if (tilt && !ball.docked) ball.applyTilt(tilt[0], tilt[1]);
+        });
+        result = simulatePhysicsStep(balls, level.grid, level);
+        each(result);
+        if (until(result)) break;
+    }
+    return result;
+}
+
+/** Distance from the ball's center to the closest point of a cell. */
+function distanceToCell(ball, col, row) {
+    const closestX = Math.max(col, Math.min(ball.x, col + 1));
+    const closestY = Math.max(row, Math.min(ball.y, row + 1));
+    return Math.hypot(ball.x - closestX, ball.y - closestY);
+}
+
+// Swept collisions ---------------------------------------------------------------
+
+check('a ball faster than two cells per tick stops at a one-cell wall', () => {
+    const scene = setUp(['#########', '#S..#..G#', '#########']);
+    scene.ball.vx = 2.5;
+    play(scene, {
+        ticks: 30,
+        each: () => assert.ok(scene.ball.x + scene.ball.radius <= 4 + EPSILON, `ball at x=${scene.ball.x} passed the wall`)
+    });
+});
+
+check('fast diagonal shots at a wall block never end inside it', () => {
+    const map = ['#########', '#S......#', '#.......#', '#.......#', '#...#...#', '#.......#', '#.......#', '#......G#', '#########'];
+    const corners = [[4, 4], [5, 4], [4, 5], [5, 5]];
+    for (let angle = 0; angle < 360; angle += 15) {
+        corners.forEach(([cornerX, cornerY]) => {
+            const scene = setUp(map);
+            const x = 4.5 + Math.cos((angle * Math.PI) / 180) * 2.5;
+            const y = 4.5 + Math.sin((angle * Math.PI) / 180) * 2.5;
+            const distance = Math.hypot(cornerX - x, cornerY - y);
+            scene.ball.reset(x, y);
+            scene.ball.vx = ((cornerX - x) / distance) * 1.2;
+            scene.ball.vy = ((cornerY - y) / distance) * 1.2;
+            play(scene, {
+                ticks: 10,
+                each: () => assert.ok(distanceToCell(scene.ball, 4, 4) >= scene.ball.radius - EPSILON,
+                    `shot from ${angle}° at corner [${cornerX}, ${cornerY}] ended inside the wall`)
+            });
+        });
+    }
+});
+
+check('a fast ball cannot fly over a hole in its path', () => {
+    const scene = setUp(['#########', '#S..O..G#', '#########']);
+    scene.ball.vx = 1.5;
+    const result = play(scene, { ticks: 5, until: step => step.hitHole });
+    assert.ok(result.hitHole, 'the ball crossed the hole without falling');
+    assert.deepEqual(result.hole, { x: 4.5, y: 1.5 });
+});
+
+check('a wall bounce reverses the ball and keeps at most `restitution` of its speed', () => {
+    const scene = setUp(['#######', '#S...G#', '#######']);
+    scene.ball.reset(3.5, 1.5);
+    scene.ball.vx = -0.2;
+    play(scene, { ticks: 30 });
+    assert.ok(scene.ball.vx > 0, 'the ball did not bounce back');
+    assert.ok(scene.ball.vx <= 0.2 * scene.level.physics.restitution, `kept too much speed: ${scene.ball.vx}`);
+});
+
+// Surfaces -----------------------------------------------------------------------
+
+check('the same push rolls farthest on ice and shortest on mud', () => {
+    const floor = Array.from({ length: 16 }, (_, i) => [i + 2, 1]);
+    const rollOut = (surface) => {
+        const scene = setUp(['####################', '#S................G#', '####################'], {
+            surfaces: surface ? { [surface]: floor } : {}
+        });
+        scene.ball.reset(2.5, 1.5);
+        scene.ball.vx = 0.1;
+        play(scene, { ticks: 120 });
+        return scene.ball.x - 2.5;
+    };
+    const [ice, plain, sand, mud] = ['ice', null, 'sand', 'mud'].map(rollOut);
+    assert.ok(ice > plain && plain > sand && sand > mud, `roll-outs ice ${ice}, floor ${plain}, sand ${sand}, mud ${mud}`);
+});
+
+// Boosters and conveyors ------------------------------------------------------------
+
+check('a booster launches a resting ball in its direction', () => {
+    const scene = setUp(['##########', '#S......G#', '##########'], { boosters: [{ cell: [2, 1], direction: 'right' }] });
+    scene.ball.reset(2.5, 1.5);
+    play(scene, { ticks: 5 });
+    assert.ok(scene.ball.vx > 0.05 && scene.ball.vy === 0, `velocity after the booster: ${scene.ball.vx}, ${scene.ball.vy}`);
+});
+
+check('a conveyor slows a ball tilted against it without stopping it', () => {
+    const belt = Array.from({ length: 16 }, (_, i) => ({ cell: [i + 2, 1], direction: 'left' }));
+    const distance = (conveyors) => {
+        const scene = setUp(['####################', '#S................G#', '####################'], { conveyors });
+        play(scene, { ticks: 60, tilt: [1, 0] });
+        return scene.ball.x - 1.5;
+    };
+    const [plain, conveyor] = [distance([]), distance(belt)];
+    assert.ok(conveyor > 0 && conveyor < plain, `distance on floor ${plain}, against the conveyor ${conveyor}`);
+});
+
+// Teleporters ----------------------------------------------------------------------
+
+const TELEPORTER_MAP = ['###########', '#S........#', '#........G#', '###########'];
+const TELEPORTER_PAIR = { teleporters: [[[3, 1], [6, 1]]] };
+
+check('a teleporter moves the ball to its partner and keeps its velocity', () => {
+    const scene = setUp(TELEPORTER_MAP, TELEPORTER_PAIR);
+    scene.ball.vx = 0.1;
+    let speedBefore = scene.ball.vx;
+    const result = play(scene, {
+        ticks: 60,
+        until: step => step.teleports.length > 0,
+        each: step => {
+            if (step.teleports.length === 0) speedBefore = scene.ball.vx;
+        }
+    });
+    assert.deepEqual(result.teleports, [{ from: { x: 3.5, y: 1.5 }, to: { x: 6.5, y: 1.5 } }]);
+    assert.equal(Math.floor(scene.ball.x), 6, `ball arrived at x=${scene.ball.x}`);
+    const expected = speedBefore * scene.level.physics.friction;
+    assert.ok(Math.abs(scene.ball.vx - expected) < EPSILON, `velocity ${scene.ball.vx} after the teleport, expected ${expected}`);
+});
+
+check('a ball resting on the arrival teleporter is not sent back until it leaves and returns', () => {
+    const scene = setUp(TELEPORTER_MAP, TELEPORTER_PAIR);
+    scene.ball.vx = 0.1;
+    play(scene, { ticks: 60, until: step => step.teleports.length > 0 });
+    scene.ball.vx = 0;
+    let teleports = 0;
+    play(scene, { ticks: 60, each: step => { teleports += step.teleports.length; } });
+    assert.equal(teleports, 0, 'the ball bounced back while resting on the arrival cell');
+    scene.ball.vx = 0.08;
+    play(scene, { ticks: 60, until: () => scene.ball.x >= 7.5 });
+    scene.ball.vx = -0.08;
+    const result = play(scene, { ticks: 60, until: step => step.teleports.length > 0 });
+    assert.equal(result.teleports.length, 1, 'the ball did not teleport after leaving and coming back');
+    assert.equal(Math.floor(scene.ball.x), 3, `ball arrived at x=${scene.ball.x}`);
+});
+
+// Moving obstacles -----------------------------------------------------------------
+
+check('a moving wall pushes a resting ball ahead instead of passing through it', () => {
+    const scene = setUp(['############', '#S........G#', '############'], {
+        movers: [{ type: 'wall', path: [[2, 1], [6, 1]], duration: 2 }]
+    });
+    const [mover] = scene.level.movers;
+    scene.ball.reset(5.5, 1.5);
+    play(scene, {
+        ticks: 60,
+        each: () => {
+            const closestX = Math.max(mover.x, Math.min(scene.ball.x, mover.x + 1));
+            assert.ok(Math.abs(scene.ball.x - closestX) >= scene.ball.radius - 0.01, `ball at x=${scene.ball.x} overlaps the wall at x=${mover.x}`);
+        }
+    });
+    assert.ok(scene.ball.x >= 7 + scene.ball.radius - 0.01, `ball left at x=${scene.ball.x}`);
+});
+
+check('a moving hole swallows a resting ball in its path', () => {
+    const scene = setUp(['############', '#S........G#', '############'], {
+        movers: [{ type: 'hole', path: [[2, 1], [8, 1]], duration: 2 }]
+    });
+    scene.ball.reset(5.5, 1.5);
+    const result = play(scene, { ticks: 60, until: step => step.hitHole });
+    assert.ok(result.hitHole, 'the hole passed under the ball');
+});
+
+// Switches and doors ---------------------------------------------------------------
+
+/**
+ * Rests the ball on the switch of a one-switch corridor, then rolls it off again.
+ * @param {'hold'|'toggle'} mode
+ * @returns {{pressed: boolean, released: boolean}} Whether the door was open while pressed and after release.
+ */
+function pressAndRelease(mode) {
+    const scene = setUp(['##########', '#S......G#', '##########'], {
+        switches: [{ cell: [3, 1], mode, doors: [[6, 1]] }],
+        doors: [[6, 1]]
+    });
+    const door = scene.level.doors['6,1'];
+    scene.ball.reset(3.5, 1.5);
+    const result = play(scene, { ticks: 1 });
+    assert.deepEqual(result.switchEvents, [{ col: 3, row: 1, mode, pressed: true }]);
+    const pressed = door.open && scene.level.grid[1][6] === CELL_TYPES.DOOR_OPEN;
+    scene.ball.reset(1.5, 1.5);
+    play(scene, { ticks: 1 });
+    const released = door.open && scene.level.grid[1][6] === CELL_TYPES.DOOR_OPEN;
+    return { pressed, released };
+}
+
+check('a toggle switch opens its door for good', () => {
+    assert.deepEqual(pressAndRelease('toggle'), { pressed: true, released: true });
+});
+
+check('a hold plate keeps its door open only while the ball rests on it', () => {
+    assert.deepEqual(pressAndRelease('hold'), { pressed: true, released: false });
+});
+
+// Gems and keys ---------------------------------------------------------------------
+
+check('the goal stays locked until every key is collected', () => {
+    const scene = setUp(['#########', '#S...G..#', '#########'], { gems: [[2, 1]], keys: [[3, 1]] });
+    scene.ball.reset(5.5, 1.5);
+    let result = play(scene, { ticks: 1 });
+    assert.ok(result.goalLocked && !result.reachedGoal, 'the goal let the ball in without the key');
+    scene.ball.reset(2.5, 1.5);
+    assert.deepEqual(play(scene, { ticks: 1 }).collected, [{ type: 'gem', col: 2, row: 1 }]);
+    scene.ball.reset(3.5, 1.5);
+    assert.deepEqual(play(scene, { ticks: 1 }).collected, [{ type: 'key', col: 3, row: 1 }]);
+    scene.ball.reset(5.5, 1.5);
+    result = play(scene, { ticks: 1 });
+    assert.ok(result.reachedGoal, 'the goal stayed locked after the key was collected');
+});
+
+// Hole pull ---------------------------------------------------------------------------
+
+const PULL_MAP = ['#########', '#S......#', '#...O...#', '#......G#', '#########'];
+
+check('a hole pulls in a ball resting near its rim', () => {
+    const scene = setUp(PULL_MAP);
+    scene.ball.reset(4.5, 1.8);
+    const result = play(scene, { ticks: 120, until: step => step.hitHole });
+    assert.ok(result.hitHole, `the ball stayed at (${scene.ball.x}, ${scene.ball.y})`);
+});
+
+check('a fast ball skims past a hole inside its pull radius', () => {
+    const scene = setUp(PULL_MAP);
+    scene.ball.reset(1.5, 3.05);
+    scene.ball.vx = 0.3;
+    const result = play(scene, { ticks: 20, until: step => step.hitHole });
+    assert.ok(!result.hitHole, 'the ball fell into the hole');
+    assert.ok(scene.ball.x > 5.5, `the ball stopped at x = ${scene.ball.x}`);
+});
+
+// Checkpoints ---------------------------------------------------------------------------
+
+check('a checkpoint becomes the respawn point and is reported once', () => {
+    const scene = setUp(['#########', '#S......#', '#......G#', '#########'], { checkpoints: [[4, 1]] });
+    let reports = 0;
+    const roll = (tilt) => play(scene, { ticks: 90, tilt, each: step => { if (step.checkpoint) reports++; } });
+    roll([1, 0]);
+    roll([-1, 0]);
+    roll([1, 0]);
+    assert.equal(reports, 1);
+    assert.deepEqual([scene.level.activeCheckpoint.col, scene.level.activeCheckpoint.row], [4, 1]);
+});
+
+// Multiple balls ------------------------------------------------------------------------
+
+check('two balls rolling into each other bounce apart', () => {
+    const scene = setUp(['##########', '#S.....Bg#', '#G.......#', '##########']);
+    const [left, right] = scene.balls;
+    left.reset(2.5, 1.5);
+    right.reset(6.5, 1.5);
+    left.vx = 0.1;
+    right.vx = -0.1;
+    play(scene, { ticks: 30 });
+    assert.ok(left.vx < 0 && right.vx > 0, `velocities after the hit: ${left.vx}, ${right.vx}`);
+    assert.ok(right.x - left.x >= left.radius + right.radius - EPSILON, 'the balls overlap');
+});
+
+check('the goal is reached only once every ball is docked', () => {
+    const scene = setUp(['##########', '#S.G..g.B#', '##########']);
+    const [first, second] = scene.balls;
+    let result = play(scene, { ticks: 90, tilt: [1, 0] });
+    assert.ok(first.docked && !second.docked, 'only the first ball should be docked');
+    assert.ok(!result.reachedGoal, 'the goal was reached with a ball still rolling');
+    result = play(scene, { ticks: 90, tilt: [-1, 0], until: step => step.reachedGoal });
+    assert.ok(second.docked && result.reachedGoal, 'the second ball did not dock');
+    assert.deepEqual([first.x, second.x], [3.5, 6.5]);
+});
+
+// One-way gates -------------------------------------------------------------------------
+
+const GATE_MAP = ['#########', '#S......#', '#......G#', '#########'];
+const GATE = { gates: [{ cell: [4, 1], direction: 'right' }] };
+
+check('a ball rolls through a gate in its direction', () => {
+    const scene = setUp(GATE_MAP, GATE);
+    play(scene, { ticks: 90, tilt: [1, 0] });
+    assert.ok(scene.ball.x > 5, `the ball stopped at x = ${scene.ball.x}`);
+});
+
+check('a gate blocks a ball coming from the other side', () => {
+    const scene = setUp(GATE_MAP, GATE);
+    scene.ball.reset(6.5, 1.5);
+    let closest = Infinity;
+    play(scene, { ticks: 90, tilt: [-1, 0], each: () => { closest = Math.min(closest, scene.ball.x); } });
+    assert.ok(closest >= 5 + scene.ball.radius - EPSILON, `the ball reached x = ${closest}`);
+});
+
+// Force fields --------------------------------------------------------------------------
+
+const FIELD_MAP = ['#########', '#S......#', '#.......#', '#......G#', '#########'];
+
+check('wind pushes a resting ball along its direction', () => {
+    const scene = setUp(FIELD_MAP, { fields: [{ type: 'wind', area: [1, 1, 7, 3], direction: 'right' }] });
+    play(scene, { ticks: 30 });
+    assert.ok(scene.ball.x > 2 && Math.abs(scene.ball.y - 1.5) < EPSILON, `the ball ended at (${scene.ball.x}, ${scene.ball.y})`);
+});
+
+check('an attractor pulls the ball in and a repulsor pushes it away', () => {
+    const distanceAfter = (type) => {
+        const scene = setUp(FIELD_MAP, { fields: [{ type, center: [4.5, 2.5], radius: 3 }] });
+        scene.ball.reset(2.5, 2.5);
+        play(scene, { ticks: 20 });
+        return Math.hypot(scene.ball.x - 4.5, scene.ball.y - 2.5);
+    };
+    assert.ok(distanceAfter('attractor') < 2, 'the attractor did not pull');
+    assert.ok(distanceAfter('repulsor') > 2, 'the repulsor did not push');
+});
+
+// Fragile walls -------------------------------------------------------------------------
+
+const FRAGILE_MAP = ['#########', '#S......#', '#...#..G#', '#########'];
+const FRAGILE_WALL = { fragile: [[4, 1]] };
+
+check('a fast ball shatters a fragile wall and keeps going', () => {
+    const scene = setUp(FRAGILE_MAP, FRAGILE_WALL);
+    scene.ball.reset(2.5, 1.5);
+    scene.ball.vx = 0.2;
+    const breaks = [];
+    play(scene, { ticks: 20, each: step => breaks.push(...step.breaks) });
+    assert.deepEqual(breaks.map(({ col, row }) => [col, row]), [[4, 1]]);
+    assert.equal(scene.level.grid[1][4], CELL_TYPES.EMPTY);
+    assert.ok(scene.ball.x > 4, `the ball stopped at x = ${scene.ball.x}`);
+});
+
+check('a slow ball bounces off a fragile wall without breaking it', () => {
+    const scene = setUp(FRAGILE_MAP, FRAGILE_WALL);
+    scene.ball.reset(2.5, 1.5);
+    scene.ball.vx = 0.1;
+    const result = play(scene, { ticks: 20, until: () => scene.ball.vx < 0 });
+    assert.ok(scene.ball.vx < 0, 'the ball did not bounce');
+    assert.equal(result.breaks.length, 0);
+    assert.equal(scene.level.grid[1][4], CELL_TYPES.FRAGILE);
+});
+
+// Free-form geometry --------------------------------------------------------------------
+
+const GEOMETRY_MAP = ['#########', '#S......#', '#......G#', '#########'];
+
+check('a ball rolling at a polygon stops on its edge instead of entering it', () => {
+    const scene = setUp(GEOMETRY_MAP, { geometry: [{ type: 'polygon', points: [[4, 1], [6, 1], [6, 3], [4, 3]] }] });
+    scene.ball.vx = 0.4;
+    play(scene, { ticks: 20 });
+    assert.ok(scene.ball.x <= 4 - scene.ball.radius + EPSILON, `the ball reached x = ${scene.ball.x}`);
+});
+
+check('a bumper bounces the ball back harder than a wall', () => {
+    const scene = setUp(GEOMETRY_MAP, { geometry: [{ type: 'bumper', center: [4.5, 1.5], radius: 0.4 }] });
+    scene.ball.reset(3, 1.5);
+    scene.ball.vx = 0.1;
+    let before = 0;
+    play(scene, { ticks: 40, until: () => scene.ball.vx < 0, each: () => { if (scene.ball.vx > 0) before = scene.ball.vx; } });
+    assert.ok(scene.ball.vx < -before * scene.ball.restitution, `speed after the hit: ${scene.ball.vx}`);
+});
+
+// Physics profiles ------------------------------------------------------------------
+
+check('a level physics profile sets the ball size and bounciness', () => {
+    const bounceBack = (physics) => {
+        const scene = setUp(['#######', '#S...G#', '#######'], { physics });
+        scene.ball.reset(3.5, 1.5);
+        scene.ball.vx = -0.2;
+        let closest = Infinity;
+        play(scene, { ticks: 30, each: () => { closest = Math.min(closest, scene.ball.x); } });
+        return { speed: scene.ball.vx, closest, radius: scene.ball.radius };
+    };
+    const plain = bounceBack(undefined);
+    const rubber = bounceBack({ ...PHYSICS_PRESETS.rubber });
+    const heavy = bounceBack({ ...PHYSICS_PRESETS.heavy });
+    assert.equal(heavy.radius, PHYSICS_PRESETS.heavy.ballRadius);
+    assert.ok(rubber.speed > plain.speed && plain.speed > heavy.speed, `speeds after the bounce: rubber ${rubber.speed}, default ${plain.speed}, heavy ${heavy.speed}`);
+    assert.ok(heavy.closest >= 1 + heavy.radius - EPSILON, `the heavy ball came within ${heavy.closest - 1} of the wall`);
+});
+
+let failures = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok    ${name}`);
+    } catch (error) {
+        failures += 1;
+        console.error(`FAIL  ${name}: ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failures}/${checks.length} checks passed.`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,28 @@
+/**
+ * @file validate-levels.mjs
+ * @description Node script that runs the level validator over every level of the bundled packs.
+ *
+ * Usage: `node tools/validate-levels.mjs`
+ * Prints one line per level and exits with code 1 if any level is invalid.
+ */
+
+import { getBundledPacks } from '../levelPacks.js';
+import { formatValidationErrors, validateLevel } from '../levelValidator.js';
+
+let total = 0;
+let failures = 0;
+getBundledPacks().forEach(pack => {
+    pack.levels.forEach(level => {
+        total += 1;
+        const { valid, errors } = validateLevel(level);
+        if (valid) {
+            console.log(`ok    ${pack.title}: Level ${level.id} "${level.name}"`);
+        } else {
+            failures += 1;
+            console.error(`FAIL  ${pack.title}: ${formatValidationErrors(level, errors)}`);
+        }
+    });
+});
+
+console.log(`\n${total - failures}/${total} levels valid.`);
+process.exitCode = failures > 0 ? 1 : 0;
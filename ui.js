@@ -3,9 +3,9 @@
  * @description UI layer for Tilt Maze.
  *
  * This module is responsible for:
- * - Showing/hiding overlay screens (start, pause, win, lose, burger menu)
- * - Updating the HUD (level name, lives, optional timer)
- * - Building the level selection grid and locking/unlocking levels
+ * - Showing/hiding overlay screens (start, daily challenge, level editor, pause, win, lose, burger menu)
+ * - Updating the HUD (level name, lives, optional timer, minimap toggle)
+ * - Building the level selection grid (grouped by level pack) and locking/unlocking levels
  * - Displaying sensor/orientation/calibration messages
  *
  * The UI communicates back to the game engine via callbacks passed to the constructor.
@@ -15,20 +15,51 @@ import { MAX_LIVES } from './constants.js';
 
 const DEFAULT_HANDLER = () => {};
 
+/** Most stars a level can award. */
+const MAX_STARS = 3;
+
+const MEDAL_LABELS = { gold: 'Gold', silver: 'Silver', bronze: 'Bronze' };
+
+/**
+ * A level pack as shown in the level picker; built by the game engine from the pack
+ * and its progress.
+ * @typedef {Object} PackView
+ * @property {string} id
+ * @property {string} title
+ * @property {string} author
+ * @property {string} lockReason Why the pack is locked; empty while it is playable.
+ * @property {LevelView[]} levels One entry per level, in play order.
+ */
+
+/**
+ * @typedef {Object} LevelView
+ * @property {boolean} unlocked
+ * @property {boolean} completed
+ * @property {number} [bestTime] Best time in seconds, if the level was finished.
+ * @property {number} gems Most gems collected in one run.
+ * @property {number} totalGems Gems in the level.
+ * @property {boolean} rated Whether the level has par times and awards stars.
+ * @property {number} stars Best star rating so far (0 if none yet).
+ */
+
 /**
  * Manages all DOM updates and overlay flows.
  *
  * Required DOM elements are referenced by id (see index.html):
- * - Screens: start-screen, pause-screen, win-screen, lose-screen, burger-menu-screen, level-select-screen-mobile
+ * - Screens: start-screen, daily-screen, editor-screen, pause-screen, win-screen, lose-screen, burger-menu-screen, level-select-screen-mobile
  * - HUD: level-display, lives-display (optional: time-display, sensor-status)
  * - Buttons: start-button, pause-button, resume-button, restart-button, menu-button, etc.
  */
 export class UIManager {
     /**
      * @param {Object} options
-     * @param {number} options.totalLevels Total number of levels available.
+     * @param {PackView[]} [options.packs] Level packs shown in the level picker.
      * @param {(level:number)=>void} [options.onStart] Called when the user starts the game.
-     * @param {(level:number)=>void} [options.onSelectLevel] Called when the user selects a level.
+     * @param {(level:number, packId:string)=>void} [options.onSelectLevel] Called when the user selects a level of a pack.
+     * @param {(file:File)=>void} [options.onImportPack] Called when the user uploads a level pack file.
+     * @param {()=>void} [options.onStartDaily] Called when the user starts today's daily challenge.
+     * @param {()=>void} [options.onShowDaily] Called when the user opens the daily challenge screen.
+     * @param {()=>void} [options.onOpenEditor] Called when the user opens the level editor.
      * @param {()=>void} [options.onPause]
      * @param {()=>void} [options.onResume]
      * @param {()=>void} [options.onRestart]
@@ -36,25 +67,29 @@ export class UIManager {
      * @param {()=>void} [options.onNextLevel]
      * @param {()=>void} [options.onRetry]
      * @param {()=>Promise<void>|void} [options.onCalibrate]
+     * @param {()=>void} [options.onToggleMinimap] Called when the user shows or hides the minimap.
      */
     constructor({
-        totalLevels,
+        packs = [],
         onStart = DEFAULT_HANDLER,
         onSelectLevel = DEFAULT_HANDLER,
+        onImportPack = DEFAULT_HANDLER,
+        onStartDaily = DEFAULT_HANDLER,
+        onShowDaily = DEFAULT_HANDLER,
+        onOpenEditor = DEFAULT_HANDLER,
         onPause = DEFAULT_HANDLER,
         onResume = DEFAULT_HANDLER,
         onRestart = DEFAULT_HANDLER,
         onMenu = DEFAULT_HANDLER,
         onNextLevel = DEFAULT_HANDLER,
         onRetry = DEFAULT_HANDLER,
-        onCalibrate = DEFAULT_HANDLER
+        onCalibrate = DEFAULT_HANDLER,
+        onToggleMinimap = DEFAULT_HANDLER
     }) {
-        this.totalLevels = totalLevels;
-        this.handlers = { onStart, onSelectLevel, onPause, onResume, onRestart, onMenu, onNextLevel, onRetry, onCalibrate };
-        this.completedLevels = new Set();
+        this.packs = packs;
+        this.handlers = { onStart, onSelectLevel, onImportPack, onStartDaily, onShowDaily, onOpenEditor, onPause, onResume, onRestart, onMenu, onNextLevel, onRetry, onCalibrate, onToggleMinimap };
+        this.currentPackId = null;
         this.currentLevel = 1;
-        this.unlockedLevel = 1;
-        this.bestTimes = {}; // { levelNumber: bestTimeInSeconds }
         this.confetti = { canvas: null, raf: null, endTime: 0, lastTs: 0, particles: [], resize: null };
         this.cacheElements();
         this.buildLevelGrid();
@@ -68,9 +103,16 @@ export class UIManager {
         return '♥'.repeat(safeLives) + '♡'.repeat(MAX_LIVES - safeLives);
     }
 
+    formatStars(stars) {
+        const safeStars = Math.max(0, Math.min(MAX_STARS, Math.floor(stars)));
+        return '★'.repeat(safeStars) + '☆'.repeat(MAX_STARS - safeStars);
+    }
+
     cacheElements() {
         this.screens = {
             start: document.getElementById('start-screen'),
+            daily: document.getElementById('daily-screen'),
+            editor: document.getElementById('editor-screen'),
             pause: document.getElementById('pause-screen'),
             win: document.getElementById('win-screen'),
             lose: document.getElementById('lose-screen'),
@@ -88,11 +130,20 @@ export class UIManager {
             orientation: document.getElementById('orientation-message'),
             calibration: document.getElementById('calibration-message'),
             winMessage: document.getElementById('win-message'),
+            winStars: document.getElementById('win-stars'),
             winTime: document.getElementById('win-time'),
-            loseMessage: document.getElementById('lose-message')
+            winGems: document.getElementById('win-gems'),
+            loseMessage: document.getElementById('lose-message'),
+            startMessage: document.getElementById('start-message'),
+            dailyToday: document.getElementById('daily-today'),
+            dailyHistory: document.getElementById('daily-history')
         };
         this.buttons = {
             start: document.getElementById('start-button'),
+            daily: document.getElementById('daily-button'),
+            dailyPlay: document.getElementById('daily-play-button'),
+            dailyBack: document.getElementById('daily-back-button'),
+            editor: document.getElementById('editor-button'),
             levelSelectHud: document.getElementById('level-select-hud-button'),
             pause: document.getElementById('pause-button'),
             resume: document.getElementById('resume-button'),
@@ -104,6 +155,8 @@ export class UIManager {
             nextLevel: document.getElementById('next-level-button'),
             calibrate: document.getElementById('calibrate-button'),
             calibrateMobile: document.getElementById('calibrate-button-mobile'),
+            minimap: document.getElementById('minimap-button'),
+            minimapMobile: document.getElementById('minimap-button-mobile'),
             burgerMenu: document.getElementById('burger-menu-button'),
             burgerResume: document.getElementById('burger-resume-button'),
             burgerLevels: document.getElementById('burger-levels-button'),
@@ -115,6 +168,7 @@ export class UIManager {
         this.levelGridMobile = document.getElementById('level-grid-hud-mobile');
         this.levelDropdown = document.getElementById('level-select-dropdown');
         this.levelSelectScreenMobile = document.getElementById('level-select-screen-mobile');
+        this.packUploadInput = document.getElementById('pack-upload-input');
     }
 
     buildLevelGrid() {
@@ -123,43 +177,79 @@ export class UIManager {
 
         grids.forEach(grid => {
             grid.innerHTML = '';
-            for (let level = 1; level <= this.totalLevels; level++) {
-                const button = document.createElement('button');
-                button.className = 'level-button-hud';
-                button.type = 'button';
-                button.dataset.level = level;
-                
-                // Create button content with level number and best time
-                const levelNumber = document.createElement('span');
-                levelNumber.className = 'level-number';
-                levelNumber.textContent = level;
-                
-                const bestTimeDisplay = document.createElement('span');
-                bestTimeDisplay.className = 'level-best-time';
-                bestTimeDisplay.textContent = '';
-                
-                button.appendChild(levelNumber);
-                button.appendChild(bestTimeDisplay);
-                
-                button.addEventListener('click', () => {
-                    this.handleLevelSelection(level);
-                    this.hideLevelDropdown();
-                    if (this.levelSelectScreenMobile) {
-                        this.hideScreen('levelSelectMobile');
-                    }
+            this.packs.forEach(pack => {
+                const section = document.createElement('section');
+                section.className = 'level-pack';
+                section.dataset.pack = pack.id;
+
+                const title = document.createElement('h3');
+                title.className = 'level-pack-title';
+                title.textContent = pack.title;
+                const meta = document.createElement('span');
+                meta.className = 'level-pack-meta';
+                title.appendChild(meta);
+
+                const packGrid = document.createElement('div');
+                packGrid.className = 'level-pack-grid';
+                pack.levels.forEach((_, index) => {
+                    packGrid.appendChild(this.createLevelButton(pack.id, index + 1));
                 });
-                grid.appendChild(button);
-            }
+
+                section.appendChild(title);
+                section.appendChild(packGrid);
+                grid.appendChild(section);
+            });
         });
         
         this.updateLevelButtonStates();
     }
 
+    createLevelButton(packId, level) {
+        const button = document.createElement('button');
+        button.className = 'level-button-hud';
+        button.type = 'button';
+        button.dataset.pack = packId;
+        button.dataset.level = level;
+        
+        // Create button content with level number and best time
+        const levelNumber = document.createElement('span');
+        levelNumber.className = 'level-number';
+        levelNumber.textContent = level;
+        
+        const bestTimeDisplay = document.createElement('span');
+        bestTimeDisplay.className = 'level-best-time';
+        bestTimeDisplay.textContent = '';
+        
+        const gemsDisplay = document.createElement('span');
+        gemsDisplay.className = 'level-gems';
+        gemsDisplay.textContent = '';
+        
+        const starsDisplay = document.createElement('span');
+        starsDisplay.className = 'level-stars';
+        starsDisplay.textContent = '';
+        
+        button.appendChild(levelNumber);
+        button.appendChild(bestTimeDisplay);
+        button.appendChild(gemsDisplay);
+        button.appendChild(starsDisplay);
+        
+        button.addEventListener('click', () => {
+            this.handleLevelSelection(packId, level);
+            this.hideLevelDropdown();
+            if (this.levelSelectScreenMobile) {
+                this.hideScreen('levelSelectMobile');
+            }
+        });
+        return button;
+    }
+
     bindEvents() {
         this.bindStartAndLevelSelectEvents();
+        this.bindDailyEvents();
         this.bindPauseAndGameplayEvents();
         this.bindWinLoseEvents();
         this.bindCalibrateEvents();
+        this.bindMinimapEvents();
         this.bindBurgerMenuEvents();
     }
 
@@ -177,6 +267,11 @@ export class UIManager {
                 this.handlers.onStart(this.currentLevel);
             });
         }
+        this.packUploadInput?.addEventListener('change', () => {
+            const [file] = this.packUploadInput.files;
+            if (file) this.handlers.onImportPack(file);
+            this.packUploadInput.value = '';
+        });
         this.buttons.levelSelectHud?.addEventListener('click', (e) => {
             e.stopPropagation();
             this.toggleLevelDropdown();
@@ -188,6 +283,22 @@ export class UIManager {
         });
     }
 
+    bindDailyEvents() {
+        this.buttons.daily?.addEventListener('click', () => {
+            this.handlers.onShowDaily();
+        });
+        this.buttons.dailyPlay?.addEventListener('click', () => {
+            this.hideAllScreens();
+            this.handlers.onStartDaily();
+        });
+        this.buttons.dailyBack?.addEventListener('click', () => {
+            this.showScreen('start');
+        });
+        this.buttons.editor?.addEventListener('click', () => {
+            this.handlers.onOpenEditor();
+        });
+    }
+
     bindPauseAndGameplayEvents() {
         this.buttons.pause?.addEventListener('click', () => {
             this.showScreen('pause');
@@ -235,6 +346,12 @@ export class UIManager {
         this.buttons.calibrateMobile?.addEventListener('click', onCalibrate);
     }
 
+    bindMinimapEvents() {
+        const onToggleMinimap = () => this.handlers.onToggleMinimap();
+        this.buttons.minimap?.addEventListener('click', onToggleMinimap);
+        this.buttons.minimapMobile?.addEventListener('click', onToggleMinimap);
+    }
+
     bindBurgerMenuEvents() {
         this.buttons.burgerMenu?.addEventListener('click', () => {
             this.showBurgerMenu();
@@ -276,14 +393,16 @@ export class UIManager {
         this.handlers.onPause();
     }
 
-    handleLevelSelection(level) {
-        if (level > this.unlockedLevel) {
+    handleLevelSelection(packId, level) {
+        const pack = this.packs.find(view => view.id === packId);
+        if (!pack?.levels[level - 1]?.unlocked) {
             return;
         }
         this.hideAllScreens();
         this.hideLevelDropdown();
+        this.currentPackId = packId;
         this.currentLevel = level;
-        this.handlers.onSelectLevel(level);
+        this.handlers.onSelectLevel(level, packId);
     }
 
     toggleLevelDropdown() {
@@ -345,11 +464,14 @@ export class UIManager {
 
     /**
      * Updates the in-game HUD. All fields are optional; only provided values are updated.
-     * @param {{levelNumber?:number, levelName?:string, timeSeconds?:number, lives?:number}} data
+     * `levelNumber` may also be a label such as `'Daily'` for levels outside the numbered sequence;
+     * `packId` names the pack a numbered level belongs to, for highlighting it in the level picker.
+     * @param {{levelNumber?:number|string, packId?:string, levelName?:string, timeSeconds?:number, lives?:number}} data
      */
-    updateHUD({ levelNumber, levelName, timeSeconds, lives }) {
-        if (typeof levelNumber === 'number') {
+    updateHUD({ levelNumber, packId, levelName, timeSeconds, lives }) {
+        if (levelNumber !== undefined) {
             this.currentLevel = levelNumber;
+            this.currentPackId = packId ?? null;
             if (this.hud.levelDisplay) {
                 this.hud.levelDisplay.textContent = `${levelNumber} · ${levelName}`;
             }
@@ -384,6 +506,26 @@ export class UIManager {
         this.messages.orientation.classList.toggle('active', visible);
     }
 
+    /**
+     * Shows the minimap toggle buttons only while the level is larger than the view.
+     * @param {boolean} available
+     */
+    setMinimapAvailable(available) {
+        [this.buttons.minimap, this.buttons.minimapMobile].forEach(button => {
+            if (button) button.hidden = !available;
+        });
+    }
+
+    /**
+     * Reflects whether the minimap is shown on its toggle buttons.
+     * @param {boolean} visible
+     */
+    setMinimapActive(visible) {
+        [this.buttons.minimap, this.buttons.minimapMobile].forEach(button => {
+            button?.setAttribute('aria-pressed', String(visible));
+        });
+    }
+
     /**
      * Shows/hides the calibration overlay.
      * @param {boolean} visible
@@ -395,13 +537,19 @@ export class UIManager {
 
     /**
      * Shows the win overlay and updates the win message.
-     * @param {{timeSeconds:number, bestTime:number, isNewRecord:boolean, showNextButton:boolean, isFinalLevel:boolean}} data
+     * `rating` and `par` are only passed for levels with par times; the stars are shown above the message.
+     * @param {{timeSeconds:number, bestTime:number, isNewRecord:boolean, gemsCollected?:number, totalGems?:number,
+     *   rating?:import('./levels.js').StarRating|null, par?:import('./levels.js').Par|null, showNextButton:boolean, isFinalLevel:boolean}} data
      */
-    showWinScreen({ timeSeconds, bestTime, isNewRecord = false, showNextButton = true, isFinalLevel = false }) {
+    showWinScreen({ timeSeconds, bestTime, isNewRecord = false, gemsCollected = 0, totalGems = 0, rating = null, par = null, showNextButton = true, isFinalLevel = false }) {
+        this.showWinStars(rating, par);
         if (this.messages.winMessage) {
             let message = '';
             if (isFinalLevel) {
-                message = 'You did it — all levels cleared!';
+                // The next button only shows after the last level when endless mazes follow.
+                message = showNextButton
+                    ? 'You did it — all levels cleared! Endless mazes await.'
+                    : 'You did it — all levels of this pack cleared!';
             } else if (isNewRecord) {
                 message = '🎉 New Best Time! 🎉';
             }
@@ -421,6 +569,11 @@ export class UIManager {
             summary += ` | Best: ${bestTime.toFixed(1)} s`;
         }
         this.messages.winTime.textContent = summary;
+
+        if (this.messages.winGems) {
+            this.messages.winGems.textContent = totalGems > 0 ? `💎 Gems: ${gemsCollected} / ${totalGems}` : '';
+            this.messages.winGems.classList.toggle('all-collected', totalGems > 0 && gemsCollected === totalGems);
+        }
         
         if (this.buttons.nextLevel) {
             this.buttons.nextLevel.style.display = showNextButton ? 'inline-block' : 'none';
@@ -428,6 +581,38 @@ export class UIManager {
         this.showScreen('win');
     }
 
+    /**
+     * Fills the star rating of the win overlay; clears it for unrated levels.
+     * @param {import('./levels.js').StarRating|null} rating
+     * @param {import('./levels.js').Par|null} par
+     */
+    showWinStars(rating, par) {
+        const container = this.messages.winStars;
+        if (!container) return;
+        container.innerHTML = '';
+        if (!rating || !par) return;
+
+        const stars = document.createElement('span');
+        stars.className = 'win-stars-rating';
+        stars.textContent = this.formatStars(rating.stars);
+        stars.setAttribute('aria-label', `${rating.stars} of ${MAX_STARS} stars`);
+
+        const detail = document.createElement('span');
+        detail.className = 'win-stars-detail';
+        const parts = [rating.medal ? `${MEDAL_LABELS[rating.medal]} time` : `Over par (${par.bronze.toFixed(1)} s)`];
+        if (rating.medal !== 'gold') {
+            parts.push(`Gold: ${par.gold.toFixed(1)} s`);
+        }
+        if (rating.tooManyLivesLost) {
+            const allowed = par.maxLivesLost === 0 ? 'no lives' : `at most ${par.maxLivesLost} ${par.maxLivesLost === 1 ? 'life' : 'lives'}`;
+            parts.push(`Lose ${allowed} for another star`);
+        }
+        detail.textContent = parts.join(' · ');
+
+        container.appendChild(stars);
+        container.appendChild(detail);
+    }
+
     launchConfetti() {
         if (window.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches) return;
 
@@ -545,41 +730,96 @@ export class UIManager {
     }
 
     /**
-     * Marks a level as completed and refreshes the level button states.
-     * @param {number} levelNumber
+     * Shows a notice on the start screen (e.g. a broken level link); an empty message hides it.
+     * @param {string} message
+     * @param {boolean} [isError=false] Highlights the message as an error.
      */
-    markLevelCompleted(level) {
-        this.completedLevels.add(level);
-        if (level === this.unlockedLevel && this.unlockedLevel < this.totalLevels) {
-            this.unlockedLevel += 1;
+    showStartMessage(message, isError = false) {
+        if (this.messages.startMessage) {
+            this.messages.startMessage.textContent = message;
+            this.messages.startMessage.classList.toggle('error', isError);
         }
-        this.updateLevelButtonStates();
     }
 
     /**
-     * Resets UI state for a fresh run (locks levels and clears completion markers).
-     * Note: The game engine is responsible for clearing localStorage.
+     * Shows the daily challenge overlay with today's result and all past dailies, newest first.
+     * @param {Record<string, {bestTime:number|null, attempts:number}>} results Map: dateKey -> result
+     * @param {string} todayKey Date key of today's challenge.
      */
-    resetProgress() {
-        this.completedLevels.clear();
-        this.unlockedLevel = 1;
-        this.bestTimes = {};
-        this.updateLevelButtonStates();
+    showDailyScreen(results, todayKey) {
+        const formatResult = ({ bestTime, attempts }) => {
+            const time = bestTime === null ? 'not finished' : `${bestTime.toFixed(1)} s`;
+            return `${time} · ${attempts} ${attempts === 1 ? 'attempt' : 'attempts'}`;
+        };
+        if (this.messages.dailyToday) {
+            const today = results[todayKey];
+            this.messages.dailyToday.textContent = today ? `Today: ${formatResult(today)}` : 'Today: not played yet';
+        }
+        if (this.messages.dailyHistory) {
+            this.messages.dailyHistory.innerHTML = '';
+            const pastKeys = Object.keys(results).filter(key => key !== todayKey).sort().reverse();
+            if (pastKeys.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'daily-history-empty';
+                empty.textContent = 'No past dailies yet.';
+                this.messages.dailyHistory.appendChild(empty);
+            }
+            pastKeys.forEach(key => {
+                const entry = document.createElement('li');
+                const date = document.createElement('span');
+                date.className = 'daily-date';
+                date.textContent = key;
+                const result = document.createElement('span');
+                result.className = 'daily-result';
+                result.textContent = formatResult(results[key]);
+                entry.appendChild(date);
+                entry.appendChild(result);
+                this.messages.dailyHistory.appendChild(entry);
+            });
+        }
+        this.showScreen('daily');
+    }
+
+    /**
+     * Replaces the level packs shown in the level picker, e.g. after progress changed or
+     * a pack was added. The grid is only rebuilt when packs or level counts changed.
+     * @param {PackView[]} packs
+     */
+    setPacks(packs) {
+        const layoutChanged = packs.length !== this.packs.length || packs.some((pack, index) =>
+            pack.id !== this.packs[index].id || pack.levels.length !== this.packs[index].levels.length);
+        this.packs = packs;
+        if (layoutChanged) {
+            this.buildLevelGrid();
+        } else {
+            this.updateLevelButtonStates();
+        }
     }
 
     updateLevelButtonStates() {
+        document.querySelectorAll('.level-pack').forEach(section => {
+            const pack = this.packs.find(view => view.id === section.dataset.pack);
+            if (!pack) return;
+            section.classList.toggle('locked', pack.lockReason !== '');
+            const meta = section.querySelector('.level-pack-meta');
+            if (meta) {
+                meta.textContent = pack.lockReason || (pack.author ? `by ${pack.author}` : '');
+            }
+        });
+
         const allLevelButtons = document.querySelectorAll('.level-button-hud');
         allLevelButtons.forEach(button => {
             const level = Number(button.dataset.level);
-            button.classList.toggle('completed', this.completedLevels.has(level));
-            button.classList.toggle('current', level === this.currentLevel);
+            const state = this.packs.find(view => view.id === button.dataset.pack)?.levels[level - 1];
+            if (!state) return;
+            button.classList.toggle('completed', state.completed);
+            button.classList.toggle('current', button.dataset.pack === this.currentPackId && level === this.currentLevel);
             
             // Update best time display
             const bestTimeDisplay = button.querySelector('.level-best-time');
             if (bestTimeDisplay) {
-                const bestTime = this.bestTimes[level];
-                if (bestTime !== undefined) {
-                    bestTimeDisplay.textContent = `${bestTime.toFixed(1)}s`;
+                if (state.bestTime !== undefined) {
+                    bestTimeDisplay.textContent = `${state.bestTime.toFixed(1)}s`;
                     bestTimeDisplay.classList.add('has-record');
                 } else {
                     bestTimeDisplay.textContent = '';
@@ -587,22 +827,22 @@ export class UIManager {
                 }
             }
             
-            if (level > this.unlockedLevel) {
-                button.classList.add('locked');
-                button.disabled = true;
-            } else {
-                button.classList.remove('locked');
-                button.disabled = false;
+            // Update gem display (only for levels that contain gems)
+            const gemsDisplay = button.querySelector('.level-gems');
+            if (gemsDisplay) {
+                gemsDisplay.textContent = state.totalGems > 0 ? `💎${state.gems}/${state.totalGems}` : '';
+            }
+            
+            // Update star display (rated levels once finished; completions from before stars existed show empty stars)
+            const starsDisplay = button.querySelector('.level-stars');
+            if (starsDisplay) {
+                const showStars = state.rated && (state.completed || state.stars > 0);
+                starsDisplay.textContent = showStars ? this.formatStars(state.stars) : '';
+                starsDisplay.setAttribute('aria-label', showStars ? `${state.stars} of ${MAX_STARS} stars` : '');
             }
+            
+            button.classList.toggle('locked', !state.unlocked);
+            button.disabled = !state.unlocked;
         });
     }
-    
-    /**
-     * Updates best-time labels shown in the level picker.
-     * @param {Record<number, number>} bestTimes Map: levelNumber -> bestTime (seconds)
-     */
-    updateBestTimes(bestTimes) {
-        this.bestTimes = bestTimes || {};
-        this.updateLevelButtonStates();
-    }
 }